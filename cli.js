@@ -0,0 +1,488 @@
+import { parseArgs } from "util";
+import fs from "fs-extra";
+import path from "path";
+import http from "http";
+import { randomBytes } from "crypto";
+import { loadPoolRegistry, loadPoolData, importLegacyData, getPool, getDefaultPool } from "./src/pools.js";
+import { loadRouteRegistry, getRoute } from "./src/routing.js";
+import { runBackfill } from "./src/backfill.js";
+import { resolveIntervals, checkCandlePatch, deleteCandles, patchCandles, rebuildCandlesFromHistory } from "./src/corrections.js";
+import { takeSnapshot, listSnapshots, restoreSnapshot } from "./src/snapshots.js";
+import { recordAudit, getAuditLog, cliActor } from "./src/audit.js";
+import { hashKey } from "./src/access.js";
+import { setLogFormat } from "./src/logger.js";
+import { createRpcProvider } from "./src/rpc.js";
+import { getCandles } from "./src/aggregate.js";
+import { filterOHLCByTimeRange } from "./src/ohlc.js";
+import { parseResolution, resolveTimeZone } from "./src/units.js";
+import { defaultTimeZone } from "./src/calendar.js";
+import { exportFormats, candleColumns, tickColumns, exportRows, exportFileName } from "./src/export.js";
+import { verifySignature } from "./src/webhooks.js";
+import { config, configFile, poolsConfigPath } from "./src/config.js";
+
+const usage = `Usage: node cli.js <command> [options]
+
+Commands:
+  backfill   Rebuild candles from on-chain Swap logs
+             --pool <address|name>   Pool to backfill (default pool if omitted)
+             --from-block <n>        First block to scan
+             --to-block <n>          Last block to scan (chain head if omitted)
+             --from-time <ts|iso>    Start time, used when --from-block is omitted
+             --to-time <ts|iso>      End time, used when --to-block is omitted
+  export     Export candles or raw ticks from the store as CSV, NDJSON or Parquet
+             --pool <address|name>   Pool to export (default pool if omitted)
+             --interval <res|raw>    Candle resolution such as 1h or 4h, or raw for ticks (default 1h)
+             --format <format>       csv, ndjson or parquet (default csv)
+             --from-time <ts|iso>    Start time (oldest data if omitted)
+             --to-time <ts|iso>      End time (newest data if omitted)
+             --tz <timezone>         Timezone daily and longer candles are aligned to
+             --out <path>            Output file (named after the pool and range if omitted)
+  webhook-receiver
+             Run a local webhook receiver that prints alert events and checks their signatures
+             --port <n>              Port to listen on (default 4000)
+             --secret <secret>       Webhook secret of the alert rule
+             --fail <n>              Answer 500 to the first n requests, to exercise retries
+  migrate    Import a legacy priceData.json/data.json file into a pool's store
+             --pool <address|name>   Pool to import into (default pool if omitted)
+             --file <path>           File to import (the pool's dataFile if omitted)
+             --force                 Replace data the store already holds
+  delete-candles
+             Delete the candles of an interval starting in a time range
+             --pool <address|name>   Pool or route (default pool if omitted)
+             --interval <interval>   Stored interval such as 5m or 1h, or all
+             --from-time <ts|iso>    First candle start time to delete
+             --to-time <ts|iso>      Last candle start time to delete
+             --reason <text>         Note kept in the audit log
+  patch-candles
+             Overwrite fields of the candles of one interval starting in a time range
+             --pool, --interval, --from-time, --to-time, --reason as for delete-candles
+             --open, --high, --low, --close, --volume, --quote-volume, --trades <n>
+  rebuild-candles
+             Rebuild the candles of an interval in a time range
+             --pool, --interval, --from-time, --to-time, --reason as for delete-candles
+             --source <source>       history (raw ticks, the default) or chain (Swap logs)
+  snapshot   Snapshot a pool's price data, or list its snapshots
+             --pool <address|name>   Pool or route (default pool if omitted)
+             --label <text>          Label for the snapshot
+             --list                  List snapshots instead of taking one
+  restore    Replace a pool's price data with a snapshot (the current data is snapshotted first)
+             --pool <address|name>   Pool or route (default pool if omitted)
+             --id <id>               Snapshot to restore
+             --reason <text>         Note kept in the audit log
+  audit      Print the audit log of manual changes, newest first
+             --pool <address|name>   Only changes to this pool or route
+             --action <action>       Only this action, e.g. patch_candles
+             --limit <n>             Entries to print (default 20)
+  api-key    Generate an API key and the entry to list it under "keys" in the access config
+             --name <name>           Name of the key holder
+             --tier <tier>           Tier of the key (default basic)
+  config     Check the configuration and print the settings in effect
+
+Run the CLI while the server is stopped; the server owns the store while running.
+Use the /api/admin endpoints to backfill or correct a running server.`;
+
+// Parse an optional integer option
+const parseInteger = (name, value) => {
+  if (value === undefined) return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`Invalid --${name}: ${value}`);
+  }
+  return number;
+};
+
+// Parse an optional timestamp in milliseconds or ISO-8601
+const parseTime = (name, value) => {
+  if (value === undefined) return null;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid --${name}: ${value}`);
+  }
+  return time;
+};
+
+// Look up the requested pool or route in the registry
+const findPool = async (name) => {
+  await loadPoolRegistry(poolsConfigPath);
+  await loadRouteRegistry(poolsConfigPath);
+  const pool = name ? getPool(name) || getRoute(name) : getDefaultPool();
+  if (!pool) {
+    throw new Error(`Unknown pool: ${name}`);
+  }
+  return pool;
+};
+
+// Load the registry and the stored data of the requested pool
+const loadPool = async (name) => {
+  const pool = await findPool(name);
+  await loadPoolData(pool);
+  return pool;
+};
+
+// Options shared by the candle corrections
+const correctionOptions = {
+  pool: { type: "string" },
+  interval: { type: "string" },
+  "from-time": { type: "string" },
+  "to-time": { type: "string" },
+  reason: { type: "string" }
+};
+
+// Parse the interval and time range of a candle correction
+const parseCorrection = (values) => {
+  if (!values.interval || !resolveIntervals(values.interval)) {
+    throw new Error(`Invalid --interval: ${values.interval} (use a stored interval such as 5m or 1h, or all)`);
+  }
+
+  const fromTime = parseTime("from-time", values["from-time"]);
+  const toTime = parseTime("to-time", values["to-time"]);
+  if (fromTime === null || toTime === null) {
+    throw new Error("Both --from-time and --to-time are required");
+  }
+  if (fromTime > toTime) {
+    throw new Error("--from-time is after --to-time");
+  }
+
+  return { interval: values.interval, fromTime, toTime, reason: values.reason || null };
+};
+
+// Print an audit entry, or fail with a correction's error
+const report = (entry) => {
+  if (entry.error) throw new Error(entry.error);
+  console.log(JSON.stringify(entry.result, null, 2));
+};
+
+const commands = {
+  backfill: async (args) => {
+    const { values } = parseArgs({
+      args,
+      options: {
+        pool: { type: "string" },
+        "from-block": { type: "string" },
+        "to-block": { type: "string" },
+        "from-time": { type: "string" },
+        "to-time": { type: "string" }
+      }
+    });
+
+    const range = {
+      fromBlock: parseInteger("from-block", values["from-block"]),
+      toBlock: parseInteger("to-block", values["to-block"]),
+      fromTime: parseTime("from-time", values["from-time"]),
+      toTime: parseTime("to-time", values["to-time"])
+    };
+
+    const pool = await loadPool(values.pool);
+    if (!pool.address) {
+      throw new Error(`${pool.name} is a derived price and has no Swap logs`);
+    }
+    const provider = createRpcProvider();
+
+    const checkpoint = await runBackfill(provider, pool, range, progress => {
+      console.log(`Scanned up to block ${progress.nextBlock - 1} of ${progress.toBlock} (${progress.swaps} swaps)`);
+    });
+    await recordAudit(cliActor(), "backfill", pool, range, {
+      fromBlock: checkpoint.fromBlock,
+      toBlock: checkpoint.toBlock,
+      swaps: checkpoint.swaps
+    });
+
+    provider.destroy();
+  },
+
+  export: async (args) => {
+    const { values } = parseArgs({
+      args,
+      options: {
+        pool: { type: "string" },
+        interval: { type: "string", default: "1h" },
+        format: { type: "string", default: "csv" },
+        "from-time": { type: "string" },
+        "to-time": { type: "string" },
+        tz: { type: "string" },
+        out: { type: "string" }
+      }
+    });
+
+    const raw = values.interval === "raw";
+    const resolution = raw ? null : parseResolution(values.interval);
+    if (!raw && !resolution) {
+      throw new Error(`Invalid --interval: ${values.interval}`);
+    }
+    if (!exportFormats[values.format]) {
+      throw new Error(`Invalid --format: ${values.format} (use ${Object.keys(exportFormats).join(", ")})`);
+    }
+
+    const fromTime = parseTime("from-time", values["from-time"]);
+    const toTime = parseTime("to-time", values["to-time"]);
+    const tz = values.tz ? resolveTimeZone(values.tz) : defaultTimeZone;
+
+    const pool = await loadPool(values.pool);
+    const { priceData } = pool;
+    const rows = raw
+      ? filterOHLCByTimeRange(priceData.history, fromTime, toTime)
+      : filterOHLCByTimeRange(getCandles(priceData, resolution, tz).ohlc, fromTime, toTime);
+
+    const series = raw ? "raw" : resolution.name;
+    const file = values.out || exportFileName(pool, series, values.format, fromTime, toTime);
+    await fs.ensureDir(path.dirname(path.resolve(file)));
+
+    await exportRows(fs.createWriteStream(file), values.format, raw ? tickColumns : candleColumns, rows);
+    console.log(`Exported ${rows.length} ${raw ? "ticks" : `${series} candles`} for ${pool.name} to ${file}`);
+  },
+
+  "webhook-receiver": async (args) => {
+    const { values } = parseArgs({
+      args,
+      options: {
+        port: { type: "string", default: "4000" },
+        secret: { type: "string" },
+        fail: { type: "string", default: "0" }
+      }
+    });
+
+    const port = parseInteger("port", values.port);
+    let failures = parseInteger("fail", values.fail);
+
+    const server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on("data", chunk => chunks.push(chunk));
+      req.on("end", () => {
+        const body = Buffer.concat(chunks).toString("utf8");
+        const timestamp = req.headers["x-webhook-timestamp"];
+        const signature = req.headers["x-webhook-signature"];
+        const verified = values.secret ? verifySignature(values.secret, timestamp, body, signature) : null;
+
+        console.log(`${new Date().toISOString()} ${req.method} ${req.url} ${req.headers["x-webhook-event"] || ""} ` +
+          `signature ${verified === null ? "not checked (no --secret)" : verified ? "valid" : "INVALID"}`);
+        console.log(body);
+
+        if (failures > 0) {
+          failures -= 1;
+          res.writeHead(500).end();
+        } else {
+          res.writeHead(verified === false ? 401 : 204).end();
+        }
+      });
+    });
+
+    server.listen(port, () => {
+      console.log(`Webhook receiver listening on http://localhost:${port}`);
+    });
+    await new Promise(resolve => server.on("close", resolve));
+  },
+
+  migrate: async (args) => {
+    const { values } = parseArgs({
+      args,
+      options: {
+        pool: { type: "string" },
+        file: { type: "string" },
+        force: { type: "boolean", default: false }
+      }
+    });
+
+    const pool = await findPool(values.pool);
+    const file = values.file || pool.dataFile;
+
+    if (!(await fs.pathExists(file))) {
+      throw new Error(`No such file: ${file}`);
+    }
+
+    if (!(await pool.store.isEmpty()) && !values.force) {
+      throw new Error(`The store for ${pool.name} already holds data; pass --force to replace it`);
+    }
+
+    await importLegacyData(pool, file);
+    await recordAudit(cliActor(), "migrate", pool, { file, force: values.force });
+  },
+
+  "delete-candles": async (args) => {
+    const { values } = parseArgs({ args, options: correctionOptions });
+    const params = parseCorrection(values);
+
+    const pool = await loadPool(values.pool);
+    report(await deleteCandles(pool, cliActor(), params));
+  },
+
+  "patch-candles": async (args) => {
+    const { values } = parseArgs({
+      args,
+      options: {
+        ...correctionOptions,
+        open: { type: "string" },
+        high: { type: "string" },
+        low: { type: "string" },
+        close: { type: "string" },
+        volume: { type: "string" },
+        "quote-volume": { type: "string" },
+        trades: { type: "string" }
+      }
+    });
+
+    const params = parseCorrection(values);
+    if (params.interval === "all") {
+      throw new Error("Candles can only be patched one interval at a time");
+    }
+
+    const fields = { open: "open", high: "high", low: "low", close: "close", volume: "volume", "quote-volume": "quoteVolume", trades: "trades" };
+    const set = Object.fromEntries(Object.entries(fields)
+      .filter(([option]) => values[option] !== undefined)
+      .map(([option, field]) => [field, Number(values[option])]));
+
+    const problem = checkCandlePatch(set);
+    if (problem) throw new Error(problem);
+
+    const pool = await loadPool(values.pool);
+    report(await patchCandles(pool, cliActor(), { ...params, set }));
+  },
+
+  "rebuild-candles": async (args) => {
+    const { values } = parseArgs({
+      args,
+      options: {
+        ...correctionOptions,
+        source: { type: "string", default: "history" }
+      }
+    });
+
+    const params = parseCorrection(values);
+    const pool = await loadPool(values.pool);
+
+    if (values.source === "history") {
+      report(await rebuildCandlesFromHistory(pool, cliActor(), params));
+      return;
+    }
+
+    if (values.source !== "chain") {
+      throw new Error(`Invalid --source: ${values.source} (use history or chain)`);
+    }
+    if (!pool.address) {
+      throw new Error(`${pool.name} is a derived price and has no Swap logs`);
+    }
+
+    const provider = createRpcProvider();
+    const { fromTime, toTime } = params;
+    const checkpoint = await runBackfill(provider, pool, {
+      fromTime,
+      toTime,
+      intervals: resolveIntervals(params.interval),
+      rebuild: true
+    }, progress => {
+      console.log(`Scanned up to block ${progress.nextBlock - 1} of ${progress.toBlock} (${progress.swaps} swaps)`);
+    });
+    await recordAudit(cliActor(), "rebuild_candles", pool, { ...params, source: "chain" }, {
+      fromBlock: checkpoint.fromBlock,
+      toBlock: checkpoint.toBlock,
+      swaps: checkpoint.swaps
+    });
+
+    provider.destroy();
+  },
+
+  snapshot: async (args) => {
+    const { values } = parseArgs({
+      args,
+      options: {
+        pool: { type: "string" },
+        label: { type: "string" },
+        list: { type: "boolean", default: false }
+      }
+    });
+
+    if (values.list) {
+      const pool = await findPool(values.pool);
+      const snapshots = await listSnapshots(pool);
+      snapshots.forEach(({ id, label, ticks, candles }) => {
+        const total = Object.values(candles).reduce((sum, count) => sum + count, 0);
+        console.log(`${id}  ${ticks} ticks, ${total} candles${label ? `  ${label}` : ""}`);
+      });
+      if (snapshots.length === 0) console.log(`No snapshots of ${pool.name}`);
+      return;
+    }
+
+    const pool = await loadPool(values.pool);
+    const { id } = await takeSnapshot(pool, cliActor(), values.label || null);
+    console.log(`Snapshot ${id} of ${pool.name}`);
+  },
+
+  restore: async (args) => {
+    const { values } = parseArgs({
+      args,
+      options: {
+        pool: { type: "string" },
+        id: { type: "string" },
+        reason: { type: "string" }
+      }
+    });
+
+    if (!values.id) {
+      throw new Error("Missing --id (list snapshots with: snapshot --list)");
+    }
+
+    const pool = await loadPool(values.pool);
+    const result = await restoreSnapshot(pool, cliActor(), values.id, values.reason || null);
+    if (!result) {
+      throw new Error(`No snapshot ${values.id} of ${pool.name}`);
+    }
+    console.log(`Restored ${values.id} of ${pool.name}; the previous data is in snapshot ${result.backup.id}`);
+  },
+
+  audit: async (args) => {
+    const { values } = parseArgs({
+      args,
+      options: {
+        pool: { type: "string" },
+        action: { type: "string" },
+        limit: { type: "string", default: "20" }
+      }
+    });
+
+    const limit = parseInteger("limit", values.limit);
+    const pool = values.pool ? await findPool(values.pool) : null;
+    const entries = await getAuditLog({ pool, action: values.action || null, limit });
+
+    entries.forEach(({ at, actor, action, poolName, params }) => {
+      const who = actor.via === "cli" ? `cli:${actor.user}` : `api:${actor.ip}`;
+      console.log(`${new Date(at).toISOString()}  ${who}  ${action}  ${poolName || "-"}  ${JSON.stringify(params)}`);
+    });
+  },
+  "api-key": async (args) => {
+    const { values } = parseArgs({
+      args,
+      options: {
+        name: { type: "string" },
+        tier: { type: "string", default: "basic" }
+      }
+    });
+
+    const key = randomBytes(24).toString("hex");
+    console.log(`API key (give this to the client; it is not stored anywhere): ${key}`);
+    console.log(JSON.stringify({ name: values.name || null, tier: values.tier, keyHash: hashKey(key) }, null, 2));
+  },
+  // An invalid configuration fails to load before any command runs
+  config: async () => {
+    console.log(`Config file: ${configFile || "none, using defaults and the environment"}`);
+    console.log(JSON.stringify(config, null, 2));
+  }
+};
+
+const main = async () => {
+  // Log lines are read in a terminal here, between the commands' own output
+  if (!process.env.LOG_FORMAT) setLogFormat("text");
+
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!commands[command]) {
+    console.log(usage);
+    process.exitCode = command ? 1 : 0;
+    return;
+  }
+
+  await commands[command](args);
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
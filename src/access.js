@@ -0,0 +1,257 @@
+import fs from "fs-extra";
+import { createHash, timingSafeEqual } from "crypto";
+import { parseDuration } from "./units.js";
+import { log } from "./logger.js";
+import { accessDefaults, accessEnv } from "./config.js";
+
+// Access control for the API: optional API keys in tiers, a rate limit per key and per
+// client address, allowed CORS origins, and the admin token and address
+// allowlist of the admin routes. Clients send their key in the X-API-Key header or the
+// api_key query parameter, for EventSource and charting clients that cannot set headers.
+// Only the SHA-256 of every key and of the admin token is kept in memory.
+
+let access = null;
+
+// Requests counted in the current window, keyed by rate limit bucket
+const windows = new Map();
+let sweeping = null;
+
+export const hashKey = (key) => createHash("sha256").update(String(key)).digest("hex");
+
+const splitList = (value) => value.split(",").map(item => item.trim()).filter(Boolean);
+
+// Addresses compare without the IPv4-mapped IPv6 prefix, so 127.0.0.1 matches ::ffff:127.0.0.1
+const normalizeIp = (ip) => String(ip || "").replace(/^::ffff:/, "");
+
+// Parse TRUST_PROXY: true or false, a number of hops, or addresses as Express takes them
+const parseTrustProxy = (value) => {
+  if (value === "true" || value === "false") return value === "true";
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+// Validate the tiers and resolve their windows
+const compileTiers = (tiers) => Object.fromEntries(Object.entries(tiers).map(([name, tier]) => {
+  const { limit = null, ipLimit = null, window = "1m" } = tier || {};
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+    throw new Error(`Invalid limit for tier ${name}: ${limit} (use a positive integer, or null for no limit)`);
+  }
+  if (ipLimit !== null && (!Number.isInteger(ipLimit) || ipLimit < 1)) {
+    throw new Error(`Invalid ipLimit for tier ${name}: ${ipLimit} (use a positive integer, or null for no limit)`);
+  }
+  return [name, { name, limit, ipLimit, window: parseDuration(window) }];
+}));
+
+// Index the API keys by their hash
+const compileKeys = (keys, tiers) => {
+  const byHash = new Map();
+
+  keys.forEach((entry, i) => {
+    const name = entry.name || `key ${i + 1}`;
+    if (!tiers[entry.tier]) {
+      throw new Error(`API key ${name} has an unknown tier: ${entry.tier} (use ${Object.keys(tiers).join(", ")})`);
+    }
+
+    const hash = entry.keyHash ? String(entry.keyHash).toLowerCase() : entry.key ? hashKey(entry.key) : null;
+    if (!hash || !/^[0-9a-f]{64}$/.test(hash)) {
+      throw new Error(`API key ${name} needs a key, or a keyHash with the key's SHA-256 in hex`);
+    }
+    if (byHash.has(hash)) {
+      throw new Error(`Duplicate API key: ${name}`);
+    }
+
+    byHash.set(hash, { name, tier: entry.tier, hash });
+  });
+
+  return byHash;
+};
+
+// Keys given in API_KEYS as tier:key pairs
+const envKeys = (value) => splitList(value).map((pair, i) => {
+  const separator = pair.indexOf(":");
+  if (separator < 1) {
+    throw new Error(`Invalid API_KEYS entry ${i + 1}: use tier:key`);
+  }
+  return { name: `API_KEYS ${i + 1}`, tier: pair.slice(0, separator), key: pair.slice(separator + 1) };
+});
+
+// Drop rate limit windows that have ended
+const sweepWindows = () => {
+  const now = Date.now();
+  windows.forEach((usage, bucket) => {
+    if (usage.resetAt <= now) windows.delete(bucket);
+  });
+};
+
+// Load the access config file, apply the environment overrides and validate the result
+export const loadAccessConfig = async (configPath) => {
+  const file = await fs.pathExists(configPath) ? await fs.readJson(configPath) : {};
+  const settings = {
+    ...accessDefaults,
+    ...file,
+    tiers: { ...accessDefaults.tiers, ...file.tiers },
+    admin: { ...accessDefaults.admin, ...file.admin }
+  };
+
+  if (accessEnv.requireApiKey !== undefined) settings.requireApiKey = accessEnv.requireApiKey === "true";
+  if (accessEnv.corsOrigins !== undefined) {
+    settings.cors = { origins: accessEnv.corsOrigins.trim() === "*" ? "*" : splitList(accessEnv.corsOrigins) };
+  }
+  if (accessEnv.adminToken) settings.admin.token = accessEnv.adminToken;
+  if (accessEnv.adminAllowedIps !== undefined) settings.admin.allowedIps = splitList(accessEnv.adminAllowedIps);
+  if (accessEnv.trustProxy !== undefined) settings.trustProxy = parseTrustProxy(accessEnv.trustProxy);
+
+  if (typeof settings.requireApiKey !== "boolean") {
+    throw new Error(`Invalid requireApiKey in ${configPath}: ${settings.requireApiKey} (use true or false)`);
+  }
+
+  const origins = settings.cors && settings.cors.origins;
+  if (origins !== "*" && !(Array.isArray(origins) && origins.every(origin => typeof origin === "string"))) {
+    throw new Error(`Invalid cors.origins in ${configPath}: use "*" or a list of origins`);
+  }
+
+  const { token, allowedIps } = settings.admin;
+  if (!Array.isArray(allowedIps)) {
+    throw new Error(`Invalid admin.allowedIps in ${configPath}: use a list of addresses`);
+  }
+  if (!Array.isArray(settings.keys)) {
+    throw new Error(`Invalid keys in ${configPath}: use a list of { name, tier, key } entries`);
+  }
+
+  const tiers = compileTiers(settings.tiers);
+  access = {
+    requireApiKey: settings.requireApiKey,
+    tiers,
+    keys: compileKeys([...settings.keys, ...(accessEnv.apiKeys ? envKeys(accessEnv.apiKeys) : [])], tiers),
+    origins,
+    adminTokenHash: token ? hashKey(token) : null,
+    adminAllowedIps: allowedIps.map(normalizeIp),
+    trustProxy: settings.trustProxy
+  };
+
+  windows.clear();
+  clearInterval(sweeping);
+  sweeping = setInterval(sweepWindows, 60 * 1000).unref();
+
+  log.info("Loaded access config", {
+    apiKeys: access.keys.size,
+    requireApiKey: access.requireApiKey,
+    corsOrigins: origins,
+    adminApi: access.adminTokenHash ? "enabled" : "disabled"
+  });
+  return access;
+};
+
+// Options for the cors middleware, checked against the loaded config on every request.
+// The rate limit headers are exposed so browser clients can pace themselves.
+export const corsOptions = {
+  origin: (origin, callback) => callback(null, !access || access.origins === "*" || access.origins.includes(origin)),
+  exposedHeaders: ["RateLimit-Policy", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After"]
+};
+
+// The bearer token of a request, if any
+const bearerToken = (req) => {
+  const match = /^Bearer (.+)$/.exec(req.get("authorization") || "");
+  return match ? match[1] : null;
+};
+
+// Why a request may not use the admin routes, as { status, error }, or null if it may
+export const checkAdmin = (req) => {
+  if (!access.adminTokenHash) {
+    return { status: 403, error: "Admin API is disabled. Set ADMIN_TOKEN or admin.token in the access config to enable it." };
+  }
+
+  if (access.adminAllowedIps.length > 0 && !access.adminAllowedIps.includes(normalizeIp(req.ip))) {
+    return { status: 403, error: "Admin API is not available from this address" };
+  }
+
+  const token = bearerToken(req);
+  const matches = token !== null &&
+    timingSafeEqual(Buffer.from(hashKey(token), "hex"), Buffer.from(access.adminTokenHash, "hex"));
+  return matches ? null : { status: 401, error: "Missing or invalid admin token" };
+};
+
+// Who is calling: the admin, a key holder or an anonymous client, with the tier and rate
+// limit bucket that applies, or { error } for a key that is unknown or missing when required
+const identifyClient = (req) => {
+  const ip = normalizeIp(req.ip);
+
+  if (bearerToken(req) !== null && checkAdmin(req) === null) {
+    return { type: "admin", name: "admin", tier: "admin", bucket: `admin:${ip}` };
+  }
+
+  const key = req.get("x-api-key") || req.query.api_key;
+  if (key) {
+    const entry = access.keys.get(hashKey(key));
+    if (!entry) return { error: "Invalid API key" };
+    return { type: "key", name: entry.name, tier: entry.tier, hash: entry.hash, bucket: `key:${entry.hash}` };
+  }
+
+  if (access.requireApiKey) {
+    return { error: "An API key is required: send it in the X-API-Key header or the api_key query parameter" };
+  }
+  return { type: "anonymous", name: ip, tier: "anonymous", bucket: `ip:${ip}` };
+};
+
+// Count a request against a bucket's window, starting a new window once the last ended
+const consume = (bucket, window, now) => {
+  let usage = windows.get(bucket);
+  if (!usage || usage.resetAt <= now) {
+    usage = { count: 0, resetAt: now + window };
+    windows.set(bucket, usage);
+  }
+
+  usage.count += 1;
+  return usage;
+};
+
+// Rate limits a request counts against: its tier's limit on its bucket and, for a key, the
+// tier's ipLimit on the client address, so a leaked key cannot be spread over many
+// addresses at the key's full rate. Addresses are counted across keys.
+const requestLimits = (req, client, tier) => [
+  { per: client.type === "key" ? "key" : "address", bucket: client.bucket, limit: tier.limit },
+  ...(client.type === "key" ? [{ per: "address", bucket: `key-ip:${normalizeIp(req.ip)}`, limit: tier.ipLimit }] : [])
+].filter(({ limit }) => limit !== null);
+
+// Identify the client of an API request onto req.apiClient and apply its tier's rate limits,
+// answering with the RateLimit-* headers of whichever has the fewest requests left, and 429
+// with Retry-After once one is used up
+export const limitRequests = (req, res, next) => {
+  const client = identifyClient(req);
+  if (client.error) {
+    return res.status(401).json({
+      error: client.error
+    });
+  }
+  req.apiClient = client;
+
+  const tier = access.tiers[client.tier];
+  const limits = requestLimits(req, client, tier);
+  if (limits.length === 0) return next();
+
+  const now = Date.now();
+  const [{ per, limit, usage }] = limits
+    .map(each => ({ ...each, usage: consume(each.bucket, tier.window, now) }))
+    .sort((a, b) => (a.limit - a.usage.count) - (b.limit - b.usage.count));
+  const reset = Math.ceil((usage.resetAt - now) / 1000);
+
+  res.set({
+    "RateLimit-Policy": `${limit};w=${tier.window / 1000}`,
+    "RateLimit-Limit": String(limit),
+    "RateLimit-Remaining": String(Math.max(0, limit - usage.count)),
+    "RateLimit-Reset": String(reset)
+  });
+
+  if (usage.count > limit) {
+    res.set("Retry-After", String(reset));
+    return res.status(429).json({
+      error: "Rate limit exceeded",
+      tier: tier.name,
+      per,
+      limit,
+      window: tier.window / 1000,
+      retryAfter: reset
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,113 @@
+import { intervals, intervalResolutions } from "./intervals.js";
+import { openCandle, updateCandle, regroupCandles, findCandleIndex } from "./ohlc.js";
+import { resolutionStart, nextResolutionStart, defaultTimeZone } from "./calendar.js";
+
+// Aggregated series are cached per pool and brought up to date on each request by
+// rebuilding only from their last bucket onwards
+const caches = new WeakMap();
+const maxCachedSeries = 50;
+
+// Stored series in the order they are tried as a source, coarsest first
+const sourceIntervals = Object.keys(intervals).sort((a, b) => intervals[b] - intervals[a]);
+
+// Raw ticks (within raw retention) or one of the stored candle series
+const sourceItems = (priceData, source) => source === "raw" ? priceData.history : priceData.ohlc[source] || [];
+
+// True if a stored candle lies inside a single bucket of the resolution
+const fitsBucket = (interval, candle, resolution, tz) => {
+  const end = nextResolutionStart(intervalResolutions[interval], candle.timestamp, defaultTimeZone) - 1;
+  return resolutionStart(resolution, candle.timestamp, tz) === resolutionStart(resolution, end, tz);
+};
+
+// Pick the coarsest stored series the resolution is a multiple of, falling back to raw ticks
+const findSource = (priceData, resolution, tz) => sourceIntervals.find(interval => {
+  const series = priceData.ohlc[interval] || [];
+  return intervals[interval] <= resolution.ms && series.length > 0 &&
+    series.every(candle => fitsBucket(interval, candle, resolution, tz));
+}) || "raw";
+
+// Fold time-ordered raw ticks into candles
+const foldTicks = (ticks, toBucket) => {
+  const candles = [];
+
+  ticks.forEach(tick => {
+    const bucket = toBucket(tick);
+    const last = candles[candles.length - 1];
+
+    if (last && last.timestamp === bucket) {
+      updateCandle(last, tick);
+    } else {
+      candles.push(openCandle(bucket, tick));
+    }
+  });
+
+  return candles;
+};
+
+// Aggregate source items into candles of the resolution
+const aggregate = (source, items, resolution, tz) => {
+  const toBucket = item => resolutionStart(resolution, item.timestamp, tz);
+  return source === "raw" ? foldTicks(items, toBucket) : regroupCandles(items, toBucket);
+};
+
+// Bring a cached series up to date by rebuilding its last bucket and anything newer.
+// Returns false if the source was replaced or trimmed and the series must be rebuilt.
+const refresh = (entry, priceData, resolution, tz) => {
+  const items = sourceItems(priceData, entry.source);
+  if (items !== entry.items || items.length === 0 || items[0].timestamp !== entry.first) return false;
+
+  const last = entry.ohlc[entry.ohlc.length - 1];
+  const tail = items.slice(findCandleIndex(items, last.timestamp));
+
+  if (entry.source !== "raw" && !tail.every(candle => fitsBucket(entry.source, candle, resolution, tz))) {
+    return false;
+  }
+
+  entry.ohlc.splice(entry.ohlc.length - 1, 1, ...aggregate(entry.source, tail, resolution, tz));
+  return true;
+};
+
+// Get candles at any resolution (see parseResolution) bucketed in a timezone, as
+// { ohlc, source }. Stored series are served as they are; anything else is merged from
+// the coarsest stored series whose candles each fit in one bucket, or from raw ticks when
+// none does, in which case the candles only reach back as far as raw history is retained.
+export const getCandles = (priceData, resolution, tz = defaultTimeZone) => {
+  if (tz.name === defaultTimeZone.name) {
+    const stored = Object.keys(intervalResolutions).find(interval => intervalResolutions[interval].name === resolution.name);
+    if (stored) return { ohlc: priceData.ohlc[stored] || [], source: stored };
+  }
+
+  if (!caches.has(priceData)) caches.set(priceData, new Map());
+  const cache = caches.get(priceData);
+  const key = `${resolution.name}|${tz.name}`;
+  const cached = cache.get(key);
+
+  if (cached && refresh(cached, priceData, resolution, tz)) {
+    return { ohlc: cached.ohlc, source: cached.source };
+  }
+
+  const source = findSource(priceData, resolution, tz);
+  const items = sourceItems(priceData, source);
+  const ohlc = aggregate(source, items, resolution, tz);
+
+  cache.delete(key);
+  if (ohlc.length > 0) {
+    if (cache.size >= maxCachedSeries) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { source, items, first: items[0].timestamp, ohlc });
+  }
+
+  return { ohlc, source };
+};
+
+// Bumped whenever a pool's stored candles are edited in place, for caches derived from them
+const versions = new WeakMap();
+
+export const getCandleVersion = (priceData) => versions.get(priceData) || 0;
+
+// Drop a pool's cached aggregates after its stored candles were edited in place
+export const invalidateCandleCache = (priceData) => {
+  caches.delete(priceData);
+  versions.set(priceData, getCandleVersion(priceData) + 1);
+};
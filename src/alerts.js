@@ -0,0 +1,403 @@
+import { randomBytes, randomUUID } from "crypto";
+import fs from "fs-extra";
+import { getPool, getDefaultPool } from "./pools.js";
+import { subscribe } from "./stream.js";
+import { getFreshness } from "./health.js";
+import { findCandleIndex, mapInterval } from "./ohlc.js";
+import { finestInterval } from "./intervals.js";
+import { parseDuration } from "./units.js";
+import { describePair } from "./pricing.js";
+import { writeJsonAtomic } from "./storage.js";
+import { sendWebhook, isPrivateHost } from "./webhooks.js";
+import { log } from "./logger.js";
+import { alertsPath, alertCheckInterval, alertDeliveryLogSize, alertRulesPerKey } from "./config.js";
+
+// Alert rules watch a pool's live ticks (and, for stale-feed rules, a timer) and send an
+// event to the rule's webhook when they trigger. Rules and the delivery log are kept in
+// alertsPath. Conditions:
+//   price_cross      { threshold, direction: above | below | either }  the price crosses a level
+//   percent_change   { percent, window, direction: up | down | either } the price moved by percent over window
+//   candle_close     { interval, level, direction: above | below }     a candle closed above/below a level
+//   stale            { seconds }                                       no confirmed price for seconds
+// Rules re-arm once their condition clears, so a condition that holds triggers once.
+// A rule created with an API key is owned by that key, { name, keyHash }, and only that key
+// and the admin can see and change it; rules created with the admin token have no owner.
+
+let rules = [];
+let deliveries = [];
+
+// Evaluation state of each rule, rebuilt from live data after a restart
+const ruleState = new Map();
+
+let saving = Promise.resolve();
+
+// Persist rules and the delivery log, one write at a time
+const saveAlerts = () => {
+  const contents = { rules, deliveries };
+  saving = saving.catch(() => {}).then(() => writeJsonAtomic(alertsPath, contents));
+  saving.catch(error => log.error("Error saving alerts", { error }));
+  return saving;
+};
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// Validate and normalize the condition of each rule type; returns { error } if invalid
+const conditionTypes = {
+  price_cross: ({ threshold, direction = "either" }) => {
+    if (!isNumber(threshold) || threshold <= 0) return { error: "threshold must be a positive number" };
+    if (!["above", "below", "either"].includes(direction)) return { error: "direction must be above, below or either" };
+    return { threshold, direction };
+  },
+
+  percent_change: ({ percent, window = "1h", direction = "either" }) => {
+    if (!isNumber(percent) || percent <= 0) return { error: "percent must be a positive number" };
+    try {
+      parseDuration(window);
+    } catch (error) {
+      return { error: error.message };
+    }
+    if (!["up", "down", "either"].includes(direction)) return { error: "direction must be up, down or either" };
+    return { percent, window, direction };
+  },
+
+  candle_close: ({ interval, level, direction }) => {
+    const intervalKey = mapInterval(String(interval));
+    if (!intervalKey) return { error: "interval must be one of the stored candle intervals" };
+    if (!isNumber(level) || level <= 0) return { error: "level must be a positive number" };
+    if (!["above", "below"].includes(direction)) return { error: "direction must be above or below" };
+    return { interval: intervalKey, level, direction };
+  },
+
+  stale: ({ seconds }) => {
+    if (!isNumber(seconds) || seconds <= 0) return { error: "seconds must be a positive number" };
+    return { seconds };
+  }
+};
+
+export const ruleTypes = Object.keys(conditionTypes);
+
+// Validate a webhook target; the secret is generated when not given
+const parseWebhook = (webhook, previous = null, owner = null) => {
+  if (!webhook || typeof webhook.url !== "string") return { error: "webhook.url is required" };
+
+  let url;
+  try {
+    url = new URL(webhook.url);
+  } catch (error) {
+    return { error: "webhook.url must be a valid URL" };
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return { error: "webhook.url must be an http or https URL" };
+  if (owner && isPrivateHost(url.hostname)) return { error: "webhook.url must not be a local or private address" };
+
+  if (webhook.secret !== undefined && (typeof webhook.secret !== "string" || webhook.secret.length < 16)) {
+    return { error: "webhook.secret must be a string of at least 16 characters" };
+  }
+
+  return {
+    url: url.toString(),
+    secret: webhook.secret || (previous ? previous.secret : randomBytes(32).toString("hex"))
+  };
+};
+
+// Build a rule from a request body, or apply a partial update to an existing one.
+// Returns { error } if the body is invalid.
+const buildRule = (body, existing = null, owner = null) => {
+  const type = body.type ?? existing?.type;
+  if (!conditionTypes[type]) return { error: "Invalid rule type", provided: type, validTypes: ruleTypes };
+
+  const poolName = body.pool ?? existing?.pool;
+  const pool = poolName ? getPool(String(poolName)) : getDefaultPool();
+  if (!pool) return { error: "Unknown pool", provided: poolName };
+
+  const condition = conditionTypes[type](body.condition ?? (type === existing?.type ? existing.condition : {}));
+  if (condition.error) return { error: `Invalid condition: ${condition.error}`, provided: body.condition };
+
+  const ruleOwner = existing ? existing.owner : owner;
+  const webhook = body.webhook === undefined && existing ? existing.webhook : parseWebhook(body.webhook, existing?.webhook, ruleOwner);
+  if (webhook.error) return { error: `Invalid webhook: ${webhook.error}` };
+
+  const cooldown = body.cooldown ?? existing?.cooldown ?? 0;
+  if (!isNumber(cooldown) || cooldown < 0) return { error: "cooldown must be a number of seconds", provided: body.cooldown };
+
+  const enabled = body.enabled ?? existing?.enabled ?? true;
+  if (typeof enabled !== "boolean") return { error: "enabled must be true or false", provided: body.enabled };
+
+  const now = Date.now();
+  return {
+    id: existing ? existing.id : randomUUID(),
+    name: body.name !== undefined ? String(body.name) : existing?.name ?? null,
+    owner: ruleOwner,
+    pool: pool.address,
+    type,
+    condition,
+    webhook,
+    cooldown,
+    enabled,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+    lastTriggeredAt: existing ? existing.lastTriggeredAt : null,
+    triggerCount: existing ? existing.triggerCount : 0
+  };
+};
+
+// A rule as shown by the API; the webhook secret is only returned when the rule is created
+export const publicRule = (rule, withSecret = false) => ({
+  ...rule,
+  owner: rule.owner ? rule.owner.name : null,
+  webhook: withSecret ? rule.webhook : { url: rule.webhook.url }
+});
+
+// The owner of the rules an API key creates
+export const keyOwner = (client) => ({ name: client.name, keyHash: client.hash });
+
+// Whether an API key owns a rule
+export const ownsRule = (rule, keyHash) => Boolean(rule.owner) && rule.owner.keyHash === keyHash;
+
+// Every rule, or with keyHash the rules of that API key
+export const listRules = (keyHash = null) => keyHash ? rules.filter(rule => ownsRule(rule, keyHash)) : rules;
+
+export const getRule = (id) => rules.find(rule => rule.id === id) || null;
+
+// Create a rule, owned by owner when created with an API key
+export const createRule = async (body, owner = null) => {
+  if (owner && listRules(owner.keyHash).length >= alertRulesPerKey) {
+    return { error: `An API key may own at most ${alertRulesPerKey} alert rules` };
+  }
+
+  const rule = buildRule(body, null, owner);
+  if (rule.error) return rule;
+
+  rules.push(rule);
+  await saveAlerts();
+  return rule;
+};
+
+export const updateRule = async (id, body) => {
+  const index = rules.findIndex(rule => rule.id === id);
+  if (index === -1) return null;
+
+  const rule = buildRule(body, rules[index]);
+  if (rule.error) return rule;
+
+  rules[index] = rule;
+  ruleState.delete(id);
+  await saveAlerts();
+  return rule;
+};
+
+export const deleteRule = async (id) => {
+  const index = rules.findIndex(rule => rule.id === id);
+  if (index === -1) return false;
+
+  rules.splice(index, 1);
+  ruleState.delete(id);
+  await saveAlerts();
+  return true;
+};
+
+// Webhook deliveries, newest first, optionally for one rule or a list of rules and/or with
+// one status
+export const getDeliveries = ({ ruleId = null, ruleIds = null, status = null, limit = 100 } = {}) => deliveries
+  .filter(delivery => (!ruleId || delivery.ruleId === ruleId) && (!ruleIds || ruleIds.includes(delivery.ruleId)) &&
+    (!status || delivery.status === status))
+  .slice(-limit)
+  .reverse()
+  .map(({ event, ...delivery }) => ({ ...delivery, eventId: event.id }));
+
+// Drop the oldest finished deliveries beyond the log size
+const trimDeliveries = () => {
+  while (deliveries.length > alertDeliveryLogSize) {
+    const index = deliveries.findIndex(delivery => delivery.status !== "pending");
+    if (index === -1) break;
+    deliveries.splice(index, 1);
+  }
+};
+
+// Send a delivery, persisting the log after every attempt. Webhooks of rules owned by API
+// keys may not reach private addresses, however their names resolve.
+const runDelivery = (delivery, rule) => {
+  sendWebhook(delivery, rule.webhook.secret, saveAlerts, { allowPrivate: !rule.owner })
+    .then(({ status }) => {
+      if (status === "failed") log.error("Webhook delivery failed", { delivery: delivery.id, alert: rule.id });
+    })
+    .catch(error => log.error("Error delivering webhook", { delivery: delivery.id, error }));
+};
+
+// Queue an event for delivery to a rule's webhook
+const deliver = (rule, event) => {
+  const delivery = {
+    id: randomUUID(),
+    ruleId: rule.id,
+    url: rule.webhook.url,
+    event,
+    status: "pending",
+    createdAt: Date.now(),
+    deliveredAt: null,
+    attempts: []
+  };
+
+  deliveries.push(delivery);
+  trimDeliveries();
+  saveAlerts();
+  runDelivery(delivery, rule);
+  return delivery;
+};
+
+// Event sent for a triggered rule
+const alertEvent = (type, rule, pool, details) => ({
+  id: randomUUID(),
+  type,
+  rule: { id: rule.id, name: rule.name, type: rule.type, condition: rule.condition },
+  pool: { address: pool.address, name: pool.name, pair: describePair(pool).pair },
+  triggeredAt: Date.now(),
+  price: pool.priceData.latestPrice,
+  ...details
+});
+
+// Fire a rule unless it is cooling down from its last trigger
+const trigger = (rule, pool, details) => {
+  const now = Date.now();
+  if (rule.lastTriggeredAt && now - rule.lastTriggeredAt < rule.cooldown * 1000) return;
+
+  rule.lastTriggeredAt = now;
+  rule.triggerCount += 1;
+  log.info("Alert triggered", { alert: rule.name || rule.id, pool: pool.name, message: details.message });
+  deliver(rule, alertEvent("alert.triggered", rule, pool, details));
+};
+
+// Send a test event to a rule's webhook
+export const testRule = (rule) => {
+  const pool = getPool(rule.pool);
+  const delivery = deliver(rule, alertEvent("alert.test", rule, pool, { message: "Test event" }));
+  const { event, ...summary } = delivery;
+  return { ...summary, eventId: event.id };
+};
+
+// Price at a time: the last raw tick at or before it, else the open of the last candle of
+// the finest interval starting at or before it. Null if the pool's data does not reach back
+// that far.
+const priceAt = (priceData, timestamp) => {
+  const { history } = priceData;
+  const tickIndex = findCandleIndex(history, timestamp + 1) - 1;
+  if (tickIndex >= 0) return history[tickIndex].price;
+
+  const candles = priceData.ohlc[finestInterval];
+  const candleIndex = findCandleIndex(candles, timestamp + 1) - 1;
+  return candleIndex >= 0 ? candles[candleIndex].open : null;
+};
+
+// Update a rule's armed state and return whether it should fire: a condition fires when
+// it starts holding, and re-arms once it stops
+const edge = (rule, holds) => {
+  const state = ruleState.get(rule.id) || {};
+  const fire = holds && !state.active;
+  ruleState.set(rule.id, { ...state, active: holds });
+  return fire;
+};
+
+// Evaluate the tick-driven rules of a pool on a published tick
+const tickEvaluators = {
+  price_cross: (rule, pool, { tick }) => {
+    const { threshold, direction } = rule.condition;
+    const state = ruleState.get(rule.id) || {};
+    const previous = state.lastPrice ?? null;
+    ruleState.set(rule.id, { ...state, lastPrice: tick.price });
+    if (previous === null) return null;
+
+    const crossedUp = previous < threshold && tick.price >= threshold;
+    const crossedDown = previous > threshold && tick.price <= threshold;
+    if ((crossedUp && direction !== "below") || (crossedDown && direction !== "above")) {
+      return {
+        message: `Price crossed ${crossedUp ? "above" : "below"} ${threshold}`,
+        previousPrice: previous,
+        price: tick.price
+      };
+    }
+    return null;
+  },
+
+  percent_change: (rule, pool, { tick }) => {
+    const { percent, window, direction } = rule.condition;
+    const reference = priceAt(pool.priceData, tick.timestamp - parseDuration(window));
+    if (!reference) return null;
+
+    const change = (tick.price - reference) / reference * 100;
+    const holds = direction === "up" ? change >= percent
+      : direction === "down" ? change <= -percent
+        : Math.abs(change) >= percent;
+
+    if (!edge(rule, holds)) return null;
+    return {
+      message: `Price moved ${change.toFixed(2)}% over ${window}`,
+      referencePrice: reference,
+      change,
+      price: tick.price
+    };
+  },
+
+  candle_close: (rule, pool, { candles }) => {
+    const { interval, level, direction } = rule.condition;
+    const closed = candles.find(update => update.closed && update.interval === interval);
+    if (!closed) return null;
+
+    const { close } = closed.candle;
+    if (direction === "above" ? close <= level : close >= level) return null;
+    return {
+      message: `${interval} candle closed ${direction} ${level} at ${close}`,
+      candle: closed.candle
+    };
+  }
+};
+
+// Evaluate a stale-feed rule
+const checkStale = (rule, pool) => {
+  const { age } = getFreshness(pool);
+  const holds = age === null || age >= rule.condition.seconds;
+  if (!edge(rule, holds)) return;
+
+  trigger(rule, pool, {
+    message: age === null ? "No price has been received yet" : `No price confirmed for ${Math.round(age)} seconds`,
+    age
+  });
+};
+
+// Enabled rules of a pool
+const rulesFor = (pool) => rules.filter(rule => rule.enabled && rule.pool.toLowerCase() === pool.address.toLowerCase());
+
+// Load the stored rules and delivery log, resume unfinished deliveries, and start
+// evaluating rules on every pool's live ticks and on a timer for stale feeds, which is returned
+export const startAlerts = async (pools) => {
+  if (await fs.pathExists(alertsPath)) {
+    const stored = await fs.readJson(alertsPath);
+    rules = stored.rules || [];
+    deliveries = stored.deliveries || [];
+  }
+
+  deliveries
+    .filter(delivery => delivery.status === "pending")
+    .forEach(delivery => {
+      const rule = getRule(delivery.ruleId);
+      if (rule) runDelivery(delivery, rule);
+      else delivery.status = "failed";
+    });
+
+  pools.forEach(pool => {
+    subscribe(pool, (update) => {
+      rulesFor(pool).forEach(rule => {
+        if (!tickEvaluators[rule.type]) return;
+        const details = tickEvaluators[rule.type](rule, pool, update);
+        if (details) trigger(rule, pool, details);
+      });
+    });
+  });
+
+  log.info("Loaded alert rules", { rules: rules.length });
+
+  return setInterval(() => {
+    pools.forEach(pool => {
+      rulesFor(pool)
+        .filter(rule => rule.type === "stale")
+        .forEach(rule => checkStale(rule, pool));
+    });
+  }, alertCheckInterval);
+};
@@ -0,0 +1,59 @@
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { randomUUID } from "crypto";
+import { parseSegment } from "./storage.js";
+import { log } from "./logger.js";
+import { auditLogPath } from "./config.js";
+
+// Audit log of every manual change to stored price data: candle corrections, rebuilds,
+// backfills, snapshot restores and quarantine releases, through the admin API or the CLI.
+// Entries are appended to auditLogPath, one JSON object per line:
+//   { id, at, actor, action, pool, poolName, params, result }
+// where actor says who made the change ({ via: "api", ip } or { via: "cli", user }).
+
+let writing = Promise.resolve();
+
+// Pools are identified by address, routes (which have none) by name
+const poolKey = (address, name) => (address || name).toLowerCase();
+
+// Actor of a change made through the admin API
+export const apiActor = (req) => ({ via: "api", ip: req.ip });
+
+// Actor of a change made through the CLI
+export const cliActor = () => ({ via: "cli", user: os.userInfo().username });
+
+// Append an entry to the audit log, one write at a time
+export const recordAudit = async (actor, action, pool, params, result = null) => {
+  const entry = {
+    id: randomUUID(),
+    at: Date.now(),
+    actor,
+    action,
+    pool: pool ? pool.address : null,
+    poolName: pool ? pool.name : null,
+    params,
+    result
+  };
+
+  writing = writing.catch(() => {}).then(async () => {
+    await fs.ensureDir(path.dirname(auditLogPath));
+    await fs.appendFile(auditLogPath, JSON.stringify(entry) + "\n");
+  });
+  writing.catch(error => log.error("Error writing the audit log", { error }));
+  await writing;
+
+  return entry;
+};
+
+// Audit entries, newest first: ?pool, ?action and ?limit. Read from disk, since the CLI
+// appends to the same file.
+export const getAuditLog = async ({ pool = null, action = null, limit = 100 } = {}) => {
+  await writing.catch(() => {});
+  if (!(await fs.pathExists(auditLogPath))) return [];
+
+  return parseSegment(await fs.readFile(auditLogPath, "utf8"), auditLogPath)
+    .filter(entry => (!pool || poolKey(entry.pool, entry.poolName) === poolKey(pool.address, pool.name)) && (!action || entry.action === action))
+    .slice(-limit)
+    .reverse();
+};
@@ -0,0 +1,223 @@
+import { intervals } from "./intervals.js";
+import { openCandle, updateCandle, findCandleIndex } from "./ohlc.js";
+import { bucketStart, nextBucketStart, defaultTimeZone } from "./calendar.js";
+import { invalidateCandleCache } from "./aggregate.js";
+import { fetchSwapLogs, decodeSwapLog, getBlockTimestamp, getLogTimestamps } from "./swaps.js";
+import { loadPoolTokens } from "./poller.js";
+import { savePoolData } from "./pools.js";
+import { log } from "./logger.js";
+import { backfillChunkSize } from "./config.js";
+
+// Backfill jobs started through the admin API, keyed by lowercased pool address
+const jobs = new Map();
+
+// Find the first block mined at or after a timestamp (ms), or head + 1 if there is none
+export const findBlockByTimestamp = async (provider, timestamp) => {
+  const head = await provider.getBlockNumber();
+  if (await getBlockTimestamp(provider, head) < timestamp) return head + 1;
+
+  let low = 0;
+  let high = head;
+
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (await getBlockTimestamp(provider, mid) < timestamp) low = mid + 1;
+    else high = mid;
+  }
+
+  return low;
+};
+
+// Turn a block and/or time range into a concrete block range
+export const resolveBlockRange = async (provider, { fromBlock, toBlock, fromTime, toTime }) => {
+  let from = fromBlock;
+  let to = toBlock;
+
+  if (from === undefined || from === null) {
+    if (fromTime === undefined || fromTime === null) {
+      throw new Error("Backfill needs a fromBlock or fromTime");
+    }
+    from = await findBlockByTimestamp(provider, fromTime);
+  }
+
+  if (to === undefined || to === null) {
+    to = (toTime === undefined || toTime === null)
+      ? await provider.getBlockNumber()
+      : await findBlockByTimestamp(provider, toTime + 1) - 1;
+  }
+
+  if (from > to) {
+    throw new Error(`Backfill range is empty (from block ${from} is after to block ${to})`);
+  }
+
+  return { fromBlock: from, toBlock: to };
+};
+
+// Fold one historical swap into every interval. A bucket the scanned range fully covers
+// is rebuilt from the chain; a bucket straddling the range edge keeps its existing candle
+// and only takes in the backfilled high/low, so no trade is ever counted twice.
+const foldTick = (priceData, checkpoint, tick) => {
+  (checkpoint.intervals || Object.keys(intervals)).forEach(interval => {
+    const series = priceData.ohlc[interval];
+    const bucket = bucketStart(interval, tick.timestamp, defaultTimeZone);
+    const index = findCandleIndex(series, bucket);
+    const existing = series[index] && series[index].timestamp === bucket ? series[index] : null;
+    const state = checkpoint.buckets[interval];
+
+    // Later ticks in a bucket this backfill has already touched
+    if (existing && state && state.timestamp === bucket) {
+      if (state.owned) {
+        updateCandle(existing, tick);
+      } else {
+        existing.high = Math.max(existing.high, tick.price);
+        existing.low = Math.min(existing.low, tick.price);
+      }
+      return;
+    }
+
+    const covered = bucket >= checkpoint.startTimestamp &&
+      nextBucketStart(interval, bucket, defaultTimeZone) <= checkpoint.endTimestamp;
+    let owned = true;
+
+    if (!existing) {
+      series.splice(index, 0, openCandle(bucket, tick));
+    } else if (covered) {
+      series[index] = openCandle(bucket, tick);
+    } else {
+      existing.high = Math.max(existing.high, tick.price);
+      existing.low = Math.min(existing.low, tick.price);
+      owned = false;
+    }
+
+    checkpoint.buckets[interval] = { timestamp: bucket, owned };
+  });
+};
+
+// Drop the candles of buckets the scanned range fully covers, so a forced rebuild also
+// clears buckets the chain has no swaps in
+const clearCoveredCandles = (priceData, checkpoint) => {
+  checkpoint.intervals.forEach(interval => {
+    priceData.ohlc[interval] = priceData.ohlc[interval].filter(({ timestamp }) =>
+      timestamp < checkpoint.startTimestamp ||
+      nextBucketStart(interval, timestamp, defaultTimeZone) > checkpoint.endTimestamp
+    );
+  });
+};
+
+// Rebuild a pool's candles from on-chain Swap logs for a block or time range, for the
+// intervals listed in range.intervals (all if omitted). With range.rebuild, candles of
+// covered buckets are dropped first instead of being merged with the backfilled swaps.
+// Progress is checkpointed in the pool's snapshot after every chunk, so rerunning
+// the same range after an interruption resumes where it stopped.
+export const runBackfill = async (provider, pool, range, onProgress = () => {}) => {
+  const { priceData } = pool;
+  if (!pool.tokens) await loadPoolTokens(provider, pool);
+
+  const { fromBlock, toBlock } = await resolveBlockRange(provider, range);
+  const saved = priceData.backfillCheckpoint;
+  let checkpoint;
+
+  // An open-ended range resumes up to the block it was first resolved to
+  const openEnded = (range.toBlock === undefined || range.toBlock === null) &&
+    (range.toTime === undefined || range.toTime === null);
+
+  if (saved && saved.fromBlock === fromBlock && (openEnded || saved.toBlock === toBlock)) {
+    checkpoint = saved;
+    log.info("Resuming backfill", { pool: pool.name, block: checkpoint.nextBlock });
+  } else {
+    checkpoint = {
+      fromBlock,
+      toBlock,
+      nextBlock: fromBlock,
+      // A block found by time is the first at or after it, so no swap between the two is missed
+      startTimestamp: range.fromBlock === undefined || range.fromBlock === null
+        ? range.fromTime
+        : await getBlockTimestamp(provider, fromBlock),
+      endTimestamp: await getBlockTimestamp(provider, toBlock),
+      intervals: range.intervals || Object.keys(intervals),
+      swaps: 0,
+      buckets: {}
+    };
+    log.info("Backfilling", { pool: pool.name, fromBlock, toBlock });
+
+    if (range.rebuild) clearCoveredCandles(priceData, checkpoint);
+  }
+
+  while (checkpoint.nextBlock <= checkpoint.toBlock) {
+    const end = Math.min(checkpoint.nextBlock + backfillChunkSize - 1, checkpoint.toBlock);
+    const logs = await fetchSwapLogs(provider, pool, checkpoint.nextBlock, end, backfillChunkSize);
+
+    const timestamps = await getLogTimestamps(provider, logs);
+
+    // Fold the chunk and advance the checkpoint without awaiting in between,
+    // so a snapshot taken by the live ingester never sees a half-applied chunk
+    const next = { ...checkpoint, buckets: { ...checkpoint.buckets } };
+    logs.forEach((log, i) => {
+      const { quote, trade } = decodeSwapLog(pool, log);
+      foldTick(priceData, next, { price: Number(quote.price), timestamp: timestamps[i], ...trade });
+    });
+    next.swaps += logs.length;
+    next.nextBlock = end + 1;
+    checkpoint = next;
+    invalidateCandleCache(priceData);
+    priceData.backfillCheckpoint = checkpoint;
+
+    await savePoolData(pool);
+    onProgress(checkpoint);
+  }
+
+  delete priceData.backfillCheckpoint;
+  await savePoolData(pool);
+
+  log.info("Backfilled swaps", { pool: pool.name, swaps: checkpoint.swaps, fromBlock: checkpoint.fromBlock, toBlock: checkpoint.toBlock });
+  return checkpoint;
+};
+
+// Start a backfill in the background, one at a time per pool
+export const startBackfillJob = (provider, pool, range) => {
+  const key = pool.address.toLowerCase();
+  const current = jobs.get(key);
+
+  if (current && current.status === "running") {
+    throw new Error(`A backfill is already running for ${pool.name}`);
+  }
+
+  const job = {
+    pool: pool.address,
+    status: "running",
+    range,
+    fromBlock: null,
+    toBlock: null,
+    nextBlock: null,
+    swaps: 0,
+    startedAt: Date.now(),
+    finishedAt: null,
+    error: null
+  };
+  jobs.set(key, job);
+
+  runBackfill(provider, pool, range, checkpoint => {
+    Object.assign(job, {
+      fromBlock: checkpoint.fromBlock,
+      toBlock: checkpoint.toBlock,
+      nextBlock: checkpoint.nextBlock,
+      swaps: checkpoint.swaps
+    });
+  })
+    .then(() => {
+      job.status = "completed";
+    })
+    .catch(error => {
+      log.error("Backfill failed", { pool: pool.name, error });
+      job.status = "failed";
+      job.error = error.message;
+    })
+    .finally(() => {
+      job.finishedAt = Date.now();
+    });
+
+  return job;
+};
+
+// List backfill jobs started through the admin API
+export const getBackfillJobs = () => Array.from(jobs.values());
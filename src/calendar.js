@@ -0,0 +1,82 @@
+import { intervalResolutions } from "./intervals.js";
+import { resolveTimeZone } from "./units.js";
+import { timezone } from "./config.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Formatters are expensive to build, so keep one per IANA zone
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric"
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+export const getOffset = (tz, timestamp) => {
+  if (tz.offset !== undefined) return tz.offset;
+
+  const parts = {};
+  getFormatter(tz.timeZone).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallTime - Math.floor(timestamp / 1000) * 1000;
+};
+
+// Convert a local wall-clock start time back to an instant
+const fromWallTime = (tz, wallTime, hintOffset) => wallTime - getOffset(tz, wallTime - hintOffset);
+
+// Start of the bucket containing timestamp at a resolution (see parseResolution). Fixed-width
+// buckets are aligned to local time, days to local midnight, weeks to Mondays and months to
+// the 1st, counted from the start of 1970 for multiples such as "3d", "2w" or "3M".
+export const resolutionStart = (resolution, timestamp, tz) => {
+  const offset = getOffset(tz, timestamp);
+  const wallTime = timestamp + offset;
+  const { calendar, count, ms } = resolution;
+
+  if (!calendar) {
+    return fromWallTime(tz, Math.floor(wallTime / ms) * ms, offset);
+  }
+
+  const day = Math.floor(wallTime / DAY);
+
+  if (calendar === "day") {
+    return fromWallTime(tz, Math.floor(day / count) * count * DAY, offset);
+  }
+
+  if (calendar === "week") {
+    // 1970-01-05 was the first Monday
+    const week = Math.floor((day - 4) / 7);
+    return fromWallTime(tz, (Math.floor(week / count) * count * 7 + 4) * DAY, offset);
+  }
+
+  const date = new Date(day * DAY);
+  const month = Math.floor(((date.getUTCFullYear() - 1970) * 12 + date.getUTCMonth()) / count) * count;
+  return fromWallTime(tz, Date.UTC(1970 + Math.floor(month / 12), month % 12, 1), offset);
+};
+
+// Start of the bucket after the one starting at start. Half a nominal width past the
+// end always lands in the next bucket, whatever the month length or DST shift.
+export const nextResolutionStart = (resolution, start, tz) => resolutionStart(resolution, start + resolution.ms * 1.5, tz);
+
+// Start of the candle of a stored interval containing timestamp
+export const bucketStart = (interval, timestamp, tz) => resolutionStart(intervalResolutions[interval], timestamp, tz);
+
+// Start of the candle of a stored interval after the one starting at start
+export const nextBucketStart = (interval, start, tz) => nextResolutionStart(intervalResolutions[interval], start, tz);
+
+// Timezone the stored candle series are bucketed in
+export const defaultTimeZone = resolveTimeZone(timezone);
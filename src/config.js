@@ -0,0 +1,474 @@
+import fs from "fs-extra";
+import path from "path";
+import { parseDuration, parseResolution, resolveTimeZone } from "./units.js";
+
+// Configuration. Every setting in the schema below starts at its default, is replaced by
+// the same key in the config file (CONFIG_FILE, ./config.json by default; the file is
+// optional) and then by its environment variable, if it has one. Settings with fields are
+// merged field by field. The result is checked on startup, and every invalid or unknown
+// setting is reported at once, with where its value came from.
+export const configPath = process.env.CONFIG_FILE || "./config.json";
+
+// The config file read, or null if there is none
+export const configFile = fs.pathExistsSync(configPath) ? configPath : null;
+
+// Setting types: fromEnv reads an environment variable, and check returns what the value
+// should be when it is invalid, or null when it is valid
+const integer = (min, max = Infinity) => ({
+  fromEnv: Number,
+  check: (value) => Number.isInteger(value) && value >= min && value <= max ? null
+    : max === Infinity ? `an integer of at least ${min}` : `an integer from ${min} to ${max}`
+});
+
+const number = (min, max = Infinity) => ({
+  fromEnv: Number,
+  check: (value) => typeof value === "number" && value >= min && value <= max ? null
+    : max === Infinity ? `a number of at least ${min}` : `a number from ${min} to ${max}`
+});
+
+const boolean = {
+  fromEnv: (text) => text === "true" ? true : text === "false" ? false : text,
+  check: (value) => typeof value === "boolean" ? null : "true or false"
+};
+
+const text = {
+  fromEnv: (value) => value,
+  check: (value) => typeof value === "string" && value !== "" ? null : "a non-empty string"
+};
+
+const oneOf = (...choices) => ({
+  fromEnv: (value) => value,
+  check: (value) => choices.includes(value) ? null : `one of ${choices.map(choice => `"${choice}"`).join(", ")}`
+});
+
+const duration = {
+  fromEnv: (value) => value,
+  check: (value) => {
+    try {
+      parseDuration(value);
+      return null;
+    } catch {
+      return "a duration such as \"90s\", \"24h\" or \"30d\"";
+    }
+  }
+};
+
+const timeZone = {
+  fromEnv: (value) => value,
+  check: (value) => {
+    try {
+      resolveTimeZone(value);
+      return null;
+    } catch {
+      return "\"UTC\", an offset such as \"+05:30\" or an IANA name such as \"Europe/Berlin\"";
+    }
+  }
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// A non-empty list; from the environment, comma-separated
+const list = (isItem, items) => ({
+  fromEnv: (value) => value.split(",").map(item => item.trim()).filter(Boolean),
+  check: (value) => Array.isArray(value) && value.length > 0 && value.every(isItem) ? null : `a non-empty list of ${items}`
+});
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const object = {
+  check: (value) => isObject(value) ? null : "an object"
+};
+
+const dataPath = (file) => (settings) => path.join(settings.dataDir, file);
+
+const schema = {
+  // Server and ingestion: "swaps" reads Swap event logs, "slot0" polls the price
+  port: { type: integer(1, 65535), default: 3001, env: "PORT" },
+  poolsConfigPath: { type: text, default: "./pools.json", env: "POOLS_CONFIG" },
+  ingestionMode: { type: oneOf("swaps", "slot0"), default: "swaps", env: "INGESTION_MODE" },
+  swapPollInterval: { type: integer(100), default: 3000, env: "SWAP_POLL_INTERVAL" }, // Milliseconds
+  pricePollInterval: { type: integer(100), default: 1000, env: "PRICE_POLL_INTERVAL" },
+  logsChunkSize: { type: integer(1), default: 2000, env: "LOGS_CHUNK_SIZE" }, // Most blocks per eth_getLogs request
+
+  // Candle intervals, each with the other names clients may use for it. Every name must
+  // be a resolution such as "5m", "4h", "1d", "1w" or "1M"; removing an interval stops
+  // updating its stored candles.
+  candleIntervals: {
+    type: object,
+    default: {
+      "5m": { aliases: ["5"] },
+      "15m": { aliases: ["15"] },
+      "30m": { aliases: ["30"] },
+      "1h": { aliases: ["60", "1", "1hour"] },
+      "12h": { aliases: ["720", "12"] },
+      "24h": { aliases: ["1440", "24"] },
+      "1w": { aliases: ["week"] },
+      "1M": { aliases: ["month"] }
+    }
+  },
+
+  // Logging: the lowest level written, and "json" lines or "text" for reading in a terminal
+  logLevel: { type: oneOf("debug", "info", "warn", "error"), default: "info", env: "LOG_LEVEL" },
+  logFormat: { type: oneOf("json", "text"), default: "json", env: "LOG_FORMAT" },
+
+  // Chain the RPC endpoints serve (56 is BNB Smart Chain), fixed so no request is spent
+  // detecting it
+  chainId: { type: integer(1), default: 56, env: "CHAIN_ID" },
+
+  // RPC endpoints, tried in order with failover (RPC_URLS is comma-separated). A request
+  // is retried up to rpcRetries times, each on the next endpoint, backing off from
+  // rpcBackoffBase and doubling up to rpcBackoffMax (milliseconds). An endpoint is benched
+  // for rpcCooldown after rpcFailureThreshold consecutive failures.
+  rpcUrls: {
+    type: list(isHttpUrl, "http(s) URLs"),
+    default: ["https://bsc-dataseed.bnbchain.org", "https://bsc-dataseed1.defibit.io", "https://bsc-dataseed1.ninicoin.io"],
+    env: ["RPC_URLS", "RPC_URL"]
+  },
+  rpcTimeout: { type: integer(100), default: 5000 },
+  rpcRetries: { type: integer(0), default: 4 },
+  rpcBackoffBase: { type: integer(0), default: 250 },
+  rpcBackoffMax: { type: integer(0), default: 5000 },
+  rpcFailureThreshold: { type: integer(1), default: 3 },
+  rpcCooldown: { type: integer(0), default: 30 * 1000 },
+
+  // Price quorum: slot0 prices are read from this many endpoints and rejected when they
+  // differ by more than the tolerance (a fraction of the price). 1 disables the check.
+  rpcQuorum: { type: integer(1), default: 1, env: "RPC_QUORUM" },
+  rpcQuorumTolerance: { type: number(0, 1), default: 0.005 },
+
+  // Freshness: a price not confirmed by a successful fetch for staleAfter seconds is flagged
+  // stale. In strict mode the latest-price endpoints answer 503 instead of serving it.
+  staleAfter: { type: integer(1), default: 60, env: "STALE_AFTER" },
+  strictMode: { type: boolean, default: false, env: "STRICT_MODE" },
+
+  // Timezone daily, weekly and monthly candles are aligned to: "UTC", an offset like "+05:30", or an IANA name
+  timezone: { type: timeZone, default: "UTC", env: "TIMEZONE" },
+
+  // Storage: "log" (append-only segments plus snapshots) or "json" (single file, for tests).
+  // The paths below default to files in dataDir.
+  storageBackend: { type: oneOf("log", "json"), default: "log", env: "STORAGE_BACKEND" },
+  dataDir: { type: text, default: "./data", env: "DATA_DIR" },
+  snapshotInterval: { type: integer(1000), default: 10 * 60 * 1000 },
+
+  // Streaming: heartbeat period, and how much unsent data a client may fall behind by before
+  // its connection is treated as dead and closed
+  streamHeartbeatInterval: { type: integer(1000), default: 15 * 1000 },
+  streamMaxBufferedBytes: { type: integer(1024), default: 1024 * 1024 },
+
+  // Alerts: rules and the webhook delivery log, how often stale-feed rules are checked, and
+  // webhook timeouts and retries (backoff doubles from webhookBackoffBase)
+  alertsPath: { type: text, default: dataPath("alerts.json") },
+  alertCheckInterval: { type: integer(100), default: 5 * 1000 },
+  alertDeliveryLogSize: { type: integer(1), default: 500 }, // Deliveries kept in the log
+  alertRulesPerKey: { type: integer(1), default: 20 }, // Rules each API key may own
+  webhookTimeout: { type: integer(100), default: 5000 },
+  webhookRetries: { type: integer(0), default: 5 },
+  webhookBackoffBase: { type: integer(0), default: 1000 },
+
+  // Tick validation, run on every live tick before it reaches history and candles. A price
+  // more than maxDeviation (a fraction) from the median of the last medianWindow accepted
+  // ticks is held until it holds for `confirmations` reads or blocks; a price more than
+  // maxTwapDeviation from the pool's twapWindow-second TWAP is rejected outright (a
+  // twapWindow of 0 turns the TWAP check off). Rejected ticks go to the quarantine log.
+  tickValidation: {
+    fields: {
+      enabled: { type: boolean, default: true, env: "TICK_VALIDATION" },
+      medianWindow: { type: integer(1), default: 20 },
+      minSamples: { type: integer(1), default: 5 }, // Accepted ticks needed before the median check applies
+      maxDeviation: { type: number(0), default: 0.1 },
+      confirmations: { type: integer(1), default: 3 },
+      twapWindow: { type: integer(0), default: 300 },
+      maxTwapDeviation: { type: number(0), default: 0.25 },
+      twapRefreshInterval: { type: integer(1000), default: 30 * 1000 }
+    }
+  },
+  quarantinePath: { type: text, default: dataPath("quarantine.json") },
+  quarantineLogSize: { type: integer(1), default: 1000 },
+
+  // Liquidity depth: how far around the current price initialized ticks are read (a fraction
+  // of the price), how long a reading is reused, the default trade sizes (in the quote token)
+  // price impact is estimated for, and how often snapshots are stored and for how long
+  depthRange: { type: number(0.001, 10), default: 0.2 },
+  depthCacheTtl: { type: integer(0), default: 15 * 1000 },
+  depthImpactSizes: {
+    type: list(value => typeof value === "number" && value > 0, "positive numbers"),
+    default: [1, 10, 100, 1000]
+  },
+  depthSnapshotInterval: { type: integer(1000), default: 5 * 60 * 1000 },
+  depthHistoryMaxAge: { type: duration, default: "30d" },
+
+  // Access control: the file API keys, tiers, CORS origins and admin access are read from
+  accessConfigPath: { type: text, default: "./access.json", env: "ACCESS_CONFIG" },
+
+  // Manual data changes: the audit log every change is recorded in, and where snapshots of
+  // pools' price data are kept
+  auditLogPath: { type: text, default: dataPath("audit.jsonl") },
+  snapshotsDir: { type: text, default: dataPath("snapshots") },
+
+  // Historical backfill: blocks per eth_getLogs request, logsChunkSize unless set
+  backfillChunkSize: { type: integer(1), default: (settings) => settings.logsChunkSize },
+
+  // Retention policy: how long raw ticks and each candle series are kept (maxAge, null keeps
+  // everything) and which coarser series expired entries are rolled up into. Series without
+  // a rule are kept forever.
+  retentionPolicy: {
+    type: object,
+    default: {
+      raw: { maxAge: "24h", rollupInto: "5m" },
+      "5m": { maxAge: "14d", rollupInto: "15m" },
+      "15m": { maxAge: "30d", rollupInto: "30m" },
+      "30m": { maxAge: "60d", rollupInto: "1h" },
+      "1h": { maxAge: "1y", rollupInto: "12h" },
+      "12h": { maxAge: "2y", rollupInto: "24h" },
+      "24h": { maxAge: "10y", rollupInto: "1w" },
+      "1w": { maxAge: null },
+      "1M": { maxAge: null }
+    }
+  },
+  retentionInterval: { type: integer(1000), default: 60 * 1000 } // How often the policy is applied
+};
+
+// Read the config file, if there is one
+const readConfigFile = () => {
+  if (!configFile) return {};
+
+  let file;
+  try {
+    file = fs.readJsonSync(configPath);
+  } catch (error) {
+    throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+  }
+  if (!isObject(file)) {
+    throw new Error(`Invalid config file ${configPath}: use an object of settings`);
+  }
+  return file;
+};
+
+// Resolve the settings of a schema from the file's values and the environment, adding a
+// message to problems for every invalid or unknown one
+const resolveSettings = (fields, file, prefix, problems) => {
+  const settings = {};
+
+  Object.keys(file).filter(key => !Object.hasOwn(fields, key)).forEach(key => {
+    problems.push(`Unknown setting ${prefix}${key} in ${configPath}`);
+  });
+
+  Object.entries(fields).forEach(([key, setting]) => {
+    const name = `${prefix}${key}`;
+
+    if (setting.fields) {
+      const section = file[key] === undefined ? {} : file[key];
+      if (!isObject(section)) {
+        problems.push(`${name} in ${configPath}: use an object`);
+      }
+      settings[key] = resolveSettings(setting.fields, isObject(section) ? section : {}, `${name}.`, problems);
+      return;
+    }
+
+    let value = typeof setting.default === "function" ? setting.default(settings) : setting.default;
+    let source = "default";
+    if (file[key] !== undefined) {
+      value = file[key];
+      source = configPath;
+    }
+
+    const env = [].concat(setting.env || []).find(variable => process.env[variable]);
+    if (env) {
+      value = setting.type.fromEnv(process.env[env]);
+      source = `env ${env}`;
+    }
+
+    const expected = setting.type.check(value);
+    if (expected) {
+      problems.push(`${name} = ${JSON.stringify(value)} (from ${source}): use ${expected}`);
+    }
+    settings[key] = value;
+  });
+
+  return settings;
+};
+
+// Every interval name must be a resolution, and names and aliases may each be used once
+const checkCandleIntervals = (candleIntervals, problems) => {
+  const names = new Map();
+
+  Object.entries(candleIntervals).forEach(([interval, definition]) => {
+    if (!parseResolution(interval)) {
+      problems.push(`candleIntervals.${interval}: not a resolution (use e.g. "5m", "4h", "1d", "1w" or "1M")`);
+    }
+
+    const aliases = isObject(definition) ? definition.aliases || [] : null;
+    if (!Array.isArray(aliases) || !aliases.every(alias => typeof alias === "string" && alias !== "")) {
+      problems.push(`candleIntervals.${interval}: use { "aliases": [...] } with a list of names`);
+      return;
+    }
+
+    [interval, ...aliases].forEach(name => {
+      if (names.has(name)) {
+        problems.push(`candleIntervals.${interval}: "${name}" is already a name of ${names.get(name)}`);
+      }
+      names.set(name, interval);
+    });
+  });
+
+  if (names.size === 0) {
+    problems.push("candleIntervals: set at least one interval");
+  }
+};
+
+// The retention policy may only name stored intervals, and must roll up into coarser ones
+const checkRetentionPolicy = (policy, candleIntervals, problems) => {
+  const width = (interval) => Object.hasOwn(candleIntervals, interval) && parseResolution(interval) ? parseResolution(interval).ms : null;
+
+  Object.entries(policy).forEach(([series, rule]) => {
+    const name = `retentionPolicy.${series}`;
+    if (series !== "raw" && width(series) === null) {
+      problems.push(`${name}: not one of the candleIntervals`);
+      return;
+    }
+    if (!isObject(rule)) {
+      problems.push(`${name}: use { "maxAge": ..., "rollupInto": ... }`);
+      return;
+    }
+
+    const { maxAge = null, rollupInto = null } = rule;
+    if (maxAge !== null && duration.check(maxAge)) {
+      problems.push(`${name}.maxAge = ${JSON.stringify(maxAge)}: use null or ${duration.check(maxAge)}`);
+    }
+    if (rollupInto === null) return;
+
+    if (width(rollupInto) === null) {
+      problems.push(`${name}.rollupInto = ${JSON.stringify(rollupInto)}: not one of the candleIntervals`);
+    } else if (series !== "raw" && width(rollupInto) <= width(series)) {
+      problems.push(`${name}.rollupInto = ${JSON.stringify(rollupInto)}: use an interval coarser than ${series}`);
+    }
+  });
+};
+
+const loadConfig = () => {
+  const problems = [];
+  const settings = resolveSettings(schema, readConfigFile(), "", problems);
+
+  if (Array.isArray(settings.rpcUrls) && settings.rpcQuorum > settings.rpcUrls.length) {
+    problems.push(`rpcQuorum = ${settings.rpcQuorum}: use 1 to ${settings.rpcUrls.length}, the number of rpcUrls`);
+  }
+
+  if (isObject(settings.candleIntervals)) {
+    checkCandleIntervals(settings.candleIntervals, problems);
+    if (isObject(settings.retentionPolicy)) {
+      checkRetentionPolicy(settings.retentionPolicy, settings.candleIntervals, problems);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${problems.join("\n  ")}`);
+  }
+  return settings;
+};
+
+// Nothing can start without valid settings, so problems are printed on their own and the
+// process exits, rather than failing the import with a stack trace
+const loadConfigOrExit = () => {
+  try {
+    return loadConfig();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+};
+
+// The resolved settings
+export const config = loadConfigOrExit();
+
+export const {
+  poolsConfigPath,
+  ingestionMode,
+  swapPollInterval,
+  pricePollInterval,
+  logsChunkSize,
+  candleIntervals,
+  logLevel,
+  logFormat,
+  chainId,
+  rpcUrls,
+  rpcTimeout,
+  rpcRetries,
+  rpcBackoffBase,
+  rpcBackoffMax,
+  rpcFailureThreshold,
+  rpcCooldown,
+  rpcQuorum,
+  rpcQuorumTolerance,
+  strictMode,
+  timezone,
+  storageBackend,
+  dataDir,
+  snapshotInterval,
+  streamHeartbeatInterval,
+  streamMaxBufferedBytes,
+  alertsPath,
+  alertCheckInterval,
+  alertDeliveryLogSize,
+  alertRulesPerKey,
+  webhookTimeout,
+  webhookRetries,
+  webhookBackoffBase,
+  tickValidation,
+  quarantinePath,
+  quarantineLogSize,
+  depthRange,
+  depthCacheTtl,
+  depthImpactSizes,
+  depthSnapshotInterval,
+  depthHistoryMaxAge,
+  accessConfigPath,
+  auditLogPath,
+  snapshotsDir,
+  backfillChunkSize,
+  retentionPolicy,
+  retentionInterval
+} = config;
+export const PORT = config.port;
+export const staleAfter = config.staleAfter * 1000;
+
+// Access control: API keys and their tiers, rate limits, allowed CORS origins and admin
+// access. Read from the file at accessConfigPath (any of the keys of accessDefaults, each
+// replacing the default; tiers are merged), then overridden by the environment:
+//   REQUIRE_API_KEY    "true" to refuse requests without a key
+//   API_KEYS           comma-separated tier:key pairs, added to the file's keys
+//   CORS_ORIGINS       comma-separated origins allowed to call the API, or "*"
+//   ADMIN_TOKEN        bearer token of the admin routes, which are disabled without one
+//   ADMIN_ALLOWED_IPS  comma-separated addresses the admin routes answer, all if unset
+//   TRUST_PROXY        Express "trust proxy" setting, for client addresses behind a proxy
+// Every tier allows `limit` requests per `window`, counted per key, or per address for
+// requests without a key (the anonymous tier) and with the admin token (the admin tier).
+// Requests with a key are also counted per address, up to the tier's `ipLimit`. A null
+// limit is unlimited. The access config is kept apart from this one so its keys
+// and token can live in a file with tighter permissions.
+export const accessDefaults = {
+  requireApiKey: false,
+  tiers: {
+    anonymous: { limit: 120, window: "1m" },
+    basic: { limit: 600, ipLimit: 300, window: "1m" },
+    pro: { limit: 6000, ipLimit: 3000, window: "1m" },
+    admin: { limit: 120, window: "1m" }
+  },
+  keys: [], // { name, tier, key } or { name, tier, keyHash } with the key's SHA-256 in hex
+  cors: { origins: "*" },
+  admin: { token: null, allowedIps: [] },
+  trustProxy: false
+};
+export const accessEnv = {
+  requireApiKey: process.env.REQUIRE_API_KEY,
+  apiKeys: process.env.API_KEYS,
+  corsOrigins: process.env.CORS_ORIGINS,
+  adminToken: process.env.ADMIN_TOKEN,
+  adminAllowedIps: process.env.ADMIN_ALLOWED_IPS,
+  trustProxy: process.env.TRUST_PROXY
+};
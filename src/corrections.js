@@ -0,0 +1,140 @@
+import { intervals } from "./intervals.js";
+import { buildCandles, findCandleIndex, mapInterval } from "./ohlc.js";
+import { bucketStart, nextBucketStart, defaultTimeZone } from "./calendar.js";
+import { invalidateCandleCache } from "./aggregate.js";
+import { savePoolData } from "./pools.js";
+import { recordAudit } from "./audit.js";
+import { log } from "./logger.js";
+
+// Manual corrections of a pool's stored candles, for the admin API and the CLI. Each works
+// on the candles of one interval, or of every interval for "all", that start between
+// fromTime and toTime inclusive. A correction is saved to the pool's store and recorded in
+// the audit log; the audit entry is returned, or { error } if the correction was refused.
+
+// Patchable candle fields and the values they take
+const candleFields = {
+  open: "price",
+  high: "price",
+  low: "price",
+  close: "price",
+  volume: "amount",
+  quoteVolume: "amount",
+  trades: "count"
+};
+
+// The stored intervals a correction applies to, or null for an unknown interval
+export const resolveIntervals = (interval) => {
+  if (interval === "all") return Object.keys(intervals);
+  const name = mapInterval(interval);
+  return name ? [name] : null;
+};
+
+// Check the fields of a candle patch, returning an error message or null
+export const checkCandlePatch = (fields) => {
+  if (!fields || typeof fields !== "object" || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    return `Set at least one of ${Object.keys(candleFields).join(", ")}`;
+  }
+
+  for (const [field, value] of Object.entries(fields)) {
+    const kind = candleFields[field];
+    if (!kind) return `Unknown candle field: ${field}`;
+
+    const valid = typeof value === "number" && Number.isFinite(value) &&
+      (kind === "price" ? value > 0 : value >= 0) &&
+      (kind !== "count" || Number.isInteger(value));
+    if (!valid) return `Invalid ${field}: ${value}`;
+  }
+  return null;
+};
+
+const isoTime = (timestamp) => new Date(timestamp).toISOString();
+
+// Index range of the candles of a series starting between fromTime and toTime
+const candleRange = (series, fromTime, toTime) => {
+  const start = findCandleIndex(series, fromTime);
+  return { start, count: findCandleIndex(series, toTime + 1) - start };
+};
+
+// Save a corrected pool and record the correction
+const commit = async (pool, actor, action, params, result) => {
+  invalidateCandleCache(pool.priceData);
+  await savePoolData(pool);
+  return recordAudit(actor, action, pool, params, result);
+};
+
+// Delete candles. params: { interval, fromTime, toTime, reason }
+export const deleteCandles = async (pool, actor, params) => {
+  const deleted = {};
+
+  resolveIntervals(params.interval).forEach(interval => {
+    const series = pool.priceData.ohlc[interval];
+    const { start, count } = candleRange(series, params.fromTime, params.toTime);
+    deleted[interval] = series.splice(start, count).length;
+  });
+
+  log.info("Deleted candles", { pool: pool.name, from: isoTime(params.fromTime), to: isoTime(params.toTime), deleted });
+  return commit(pool, actor, "delete_candles", params, { deleted });
+};
+
+// Overwrite fields of candles of one interval, refusing a patch that would leave a candle's
+// high below its open or close, or its low above them. The previous values are kept in the
+// audit entry. params: { interval, fromTime, toTime, set, reason }
+export const patchCandles = async (pool, actor, params) => {
+  const [interval] = resolveIntervals(params.interval);
+  const series = pool.priceData.ohlc[interval];
+  const { start, count } = candleRange(series, params.fromTime, params.toTime);
+
+  const previous = series.slice(start, start + count);
+  const patched = previous.map(candle => ({ ...candle, ...params.set }));
+
+  const invalid = patched.find(({ open, high, low, close }) =>
+    high < Math.max(open, close, low) || low > Math.min(open, close, high)
+  );
+  if (invalid) {
+    return {
+      error: `Patch would leave the ${interval} candle at ${isoTime(invalid.timestamp)} inconsistent`,
+      candle: invalid
+    };
+  }
+
+  series.splice(start, count, ...patched);
+
+  log.info("Patched candles", { pool: pool.name, interval, candles: patched.length, from: isoTime(params.fromTime), to: isoTime(params.toTime) });
+  return commit(pool, actor, "patch_candles", params, { patched: { [interval]: patched.length }, previous });
+};
+
+// Rebuild candles from raw history. Every bucket from the one holding fromTime to the one
+// holding toTime is replaced, and a bucket with no ticks left is dropped, so raw history
+// must reach back to the start of the first bucket; older buckets need a rebuild from the
+// chain. params: { interval, fromTime, toTime, reason }
+export const rebuildCandlesFromHistory = async (pool, actor, params) => {
+  const { history, ohlc } = pool.priceData;
+  const names = resolveIntervals(params.interval);
+
+  const ranges = names.map(interval => ({
+    interval,
+    from: bucketStart(interval, params.fromTime, defaultTimeZone),
+    to: nextBucketStart(interval, bucketStart(interval, params.toTime, defaultTimeZone), defaultTimeZone)
+  }));
+
+  const earliest = Math.min(...ranges.map(({ from }) => from));
+  if (history.length === 0 || history[0].timestamp > earliest) {
+    return {
+      error: history.length === 0
+        ? `${pool.name} has no raw history to rebuild from`
+        : `Raw history of ${pool.name} starts at ${isoTime(history[0].timestamp)}, after the first bucket to rebuild (${isoTime(earliest)}); rebuild from the chain instead`
+    };
+  }
+
+  const rebuilt = {};
+  ranges.forEach(({ interval, from, to }) => {
+    const candles = buildCandles(interval, history.filter(({ timestamp }) => timestamp >= from && timestamp < to));
+    const series = ohlc[interval];
+    const start = findCandleIndex(series, from);
+    const replaced = series.splice(start, findCandleIndex(series, to) - start, ...candles).length;
+    rebuilt[interval] = { replaced, candles: candles.length };
+  });
+
+  log.info("Rebuilt candles from raw history", { pool: pool.name, from: isoTime(params.fromTime), to: isoTime(params.toTime), rebuilt });
+  return commit(pool, actor, "rebuild_candles", { ...params, source: "history" }, { rebuilt });
+};
@@ -0,0 +1,412 @@
+import { Contract } from "ethers";
+import fs from "fs-extra";
+import path from "path";
+import IUniswapV3PoolABI from "../artifacts/IUniswapV3PoolAbi.json" assert { type: "json" };
+import { loadPoolTokens } from "./poller.js";
+import { sqrtPriceX96ToPrices, orientPrices, MIN_TICK, MAX_TICK } from "./pricing.js";
+import { parseDuration } from "./units.js";
+import { writeFileAtomic, parseSegment } from "./storage.js";
+import { log } from "./logger.js";
+import { depthRange, depthCacheTtl, depthSnapshotInterval, depthHistoryMaxAge } from "./config.js";
+
+// Liquidity depth of a pool from its initialized ticks. Liquidity is constant between
+// consecutive initialized ticks and changes by a tick's liquidityNet when the price crosses
+// it, so the ticks near the current price give the liquidity of each price range there,
+// the tokens that range holds, and how far a trade would move the price. Amounts are
+// floating-point estimates; the pool itself swaps in fixed point.
+
+// Most initialized ticks read per reading, the nearest the current tick
+const maxTicks = 500;
+
+// Price moves (percent) the depth summary reports the cost of
+export const depthBands = [1, 2, 5, 10];
+
+const Q96 = 2 ** 96;
+const sqrtAtTick = (tick) => 1.0001 ** (tick / 2);
+
+// Initialized ticks recorded in a word of the tick bitmap, one bit per tickSpacing ticks
+const wordTicks = (word, bitmap, tickSpacing) => {
+  const ticks = [];
+  for (let bit = 0; bitmap > 0n; bit++, bitmap >>= 1n) {
+    if (bitmap & 1n) ticks.push((word * 256 + bit) * tickSpacing);
+  }
+  return ticks;
+};
+
+// Read the pool's price, active liquidity, tick spacing and fee, and the liquidityNet of
+// every initialized tick within range (a fraction of the price) of the current tick, all
+// at the same block
+export const readDepthState = async (provider, pool, range = depthRange) => {
+  if (!pool.tokens) await loadPoolTokens(provider, pool);
+
+  const poolContract = new Contract(pool.address, IUniswapV3PoolABI.abi, provider);
+  const blockNumber = await provider.getBlockNumber();
+  const overrides = { blockTag: blockNumber };
+
+  const [slot0, liquidity, tickSpacing, fee] = await Promise.all([
+    poolContract.slot0(overrides),
+    poolContract.liquidity(overrides),
+    poolContract.tickSpacing(overrides),
+    poolContract.fee(overrides)
+  ]);
+
+  const tick = Number(slot0.tick);
+  const spacing = Number(tickSpacing);
+  const span = Math.ceil(Math.log(1 + range) / Math.log(1.0001));
+  let lowerTick = Math.max(MIN_TICK, tick - span);
+  let upperTick = Math.min(MAX_TICK, tick + span);
+
+  // Compressed ticks round towards negative infinity, as in the pool's TickBitmap
+  const wordOf = (value) => Math.floor(value / spacing) >> 8;
+  const words = [];
+  for (let word = wordOf(lowerTick); word <= wordOf(upperTick); word++) words.push(word);
+
+  const bitmaps = await Promise.all(words.map(word => poolContract.tickBitmap(word, overrides)));
+  let initialized = words
+    .flatMap((word, i) => wordTicks(word, bitmaps[i], spacing))
+    .filter(value => value >= lowerTick && value <= upperTick);
+
+  if (initialized.length > maxTicks) {
+    const nearest = [...initialized].sort((a, b) => Math.abs(a - tick) - Math.abs(b - tick));
+    const reach = Math.abs(nearest[maxTicks - 1] - tick);
+    lowerTick = Math.max(lowerTick, tick - reach);
+    upperTick = Math.min(upperTick, tick + reach);
+    initialized = initialized.filter(value => value >= lowerTick && value <= upperTick);
+  }
+
+  const ticks = await Promise.all(initialized.map(value => poolContract.ticks(value, overrides)));
+
+  return {
+    blockNumber,
+    fetchedAt: Date.now(),
+    sqrtPriceX96: slot0.sqrtPriceX96,
+    tick,
+    liquidity,
+    tickSpacing: spacing,
+    fee: Number(fee),
+    lowerTick,
+    upperTick,
+    ticks: initialized.map((value, i) => ({ tick: value, liquidityNet: ticks[i].liquidityNet }))
+  };
+};
+
+// Recent readings per pool and range, shared by requests and snapshots
+const readings = new WeakMap();
+const maxCachedReadings = 20;
+
+// Depth state of a pool, reusing a reading younger than depthCacheTtl
+export const getDepthState = (provider, pool, range = depthRange) => {
+  if (!readings.has(pool)) readings.set(pool, new Map());
+  const cache = readings.get(pool);
+
+  const cached = cache.get(range);
+  if (cached && Date.now() - cached.at < depthCacheTtl) return cached.reading;
+
+  const reading = readDepthState(provider, pool, range);
+  const entry = { at: Date.now(), reading };
+  cache.delete(range);
+  if (cache.size >= maxCachedReadings) cache.delete(cache.keys().next().value);
+  cache.set(range, entry);
+
+  reading.catch(() => {
+    if (cache.get(range) === entry) cache.delete(range);
+  });
+  return reading;
+};
+
+// Tokens held by liquidity L between two sqrt prices, in raw units
+const amount0 = (L, sqrtLower, sqrtUpper) => L * (1 / sqrtLower - 1 / sqrtUpper);
+const amount1 = (L, sqrtLower, sqrtUpper) => L * (sqrtUpper - sqrtLower);
+
+// Liquidity ranges between the scan bounds and the initialized ticks within them, with
+// the liquidity active in each and its sqrt prices as floats, and the index of the range
+// holding the current tick
+const buildModel = (pool, state) => {
+  const { token0, token1 } = pool.tokens;
+  const net = new Map(state.ticks.map(({ tick, liquidityNet }) => [tick, liquidityNet]));
+  const bounds = [
+    state.lowerTick,
+    ...state.ticks.map(({ tick }) => tick).filter(tick => tick > state.lowerTick && tick < state.upperTick),
+    state.upperTick
+  ];
+
+  const segments = bounds.slice(0, -1).map((tickLower, i) => ({
+    tickLower,
+    tickUpper: bounds[i + 1],
+    sqrtLower: sqrtAtTick(tickLower),
+    sqrtUpper: sqrtAtTick(bounds[i + 1]),
+    liquidity: 0n
+  }));
+
+  let current = segments.findIndex(({ tickLower, tickUpper }) => state.tick >= tickLower && state.tick < tickUpper);
+  if (current === -1) current = segments.length - 1;
+
+  // Crossing a tick upwards adds its liquidityNet, crossing it downwards subtracts it
+  segments[current].liquidity = state.liquidity;
+  for (let i = current + 1; i < segments.length; i++) {
+    segments[i].liquidity = segments[i - 1].liquidity + (net.get(segments[i].tickLower) || 0n);
+  }
+  for (let i = current - 1; i >= 0; i--) {
+    segments[i].liquidity = segments[i + 1].liquidity - (net.get(segments[i + 1].tickLower) || 0n);
+  }
+  segments.forEach(segment => { segment.L = Number(segment.liquidity); });
+
+  const baseIsToken0 = pool.base === "token0";
+  const scale0 = 10 ** token0.decimals;
+  const scale1 = 10 ** token1.decimals;
+
+  return {
+    segments,
+    current,
+    sqrtPrice: Number(state.sqrtPriceX96) / Q96,
+    feeRate: state.fee / 1e6,
+    baseIsToken0,
+    // Base priced in quote at a sqrt price
+    priceAt: (sqrtPrice) => {
+      const token0Price = sqrtPrice * sqrtPrice * scale0 / scale1;
+      return baseIsToken0 ? token0Price : 1 / token0Price;
+    },
+    // Raw token0 and token1 amounts as { base, quote } in whole tokens
+    orient: (raw0, raw1) => baseIsToken0
+      ? { base: raw0 / scale0, quote: raw1 / scale1 }
+      : { base: raw1 / scale1, quote: raw0 / scale0 },
+    quoteScale: baseIsToken0 ? scale1 : scale0,
+    baseScale: baseIsToken0 ? scale0 : scale1
+  };
+};
+
+// Tokens held between two sqrt prices across every range, as { base, quote }
+const amountsBetween = (model, low, high) => {
+  let raw0 = 0;
+  let raw1 = 0;
+  model.segments.forEach(({ L, sqrtLower, sqrtUpper }) => {
+    const a = Math.max(sqrtLower, low);
+    const b = Math.min(sqrtUpper, high);
+    if (b > a) {
+      raw0 += amount0(L, a, b);
+      raw1 += amount1(L, a, b);
+    }
+  });
+  return model.orient(raw0, raw1);
+};
+
+// Swap amountIn (raw, fee included) through the ranges: zeroForOne sells token0 and moves
+// the price down, otherwise token1 is sold and the price moves up. A trade larger than
+// the scanned ranges can take stops at their edge, unfilled.
+const simulateSwap = (model, zeroForOne, amountIn) => {
+  let remaining = amountIn * (1 - model.feeRate);
+  let sqrtPrice = model.sqrtPrice;
+  let amountOut = 0;
+
+  for (let i = model.current; i >= 0 && i < model.segments.length && remaining > 0; i += zeroForOne ? -1 : 1) {
+    const { L, sqrtLower, sqrtUpper } = model.segments[i];
+    const target = zeroForOne ? sqrtLower : sqrtUpper;
+
+    if (L > 0) {
+      const capacity = zeroForOne ? amount0(L, target, sqrtPrice) : amount1(L, sqrtPrice, target);
+      if (remaining < capacity) {
+        const next = zeroForOne ? 1 / (1 / sqrtPrice + remaining / L) : sqrtPrice + remaining / L;
+        amountOut += zeroForOne ? amount1(L, next, sqrtPrice) : amount0(L, sqrtPrice, next);
+        sqrtPrice = next;
+        remaining = 0;
+        break;
+      }
+      amountOut += zeroForOne ? amount1(L, target, sqrtPrice) : amount0(L, sqrtPrice, target);
+      remaining -= capacity;
+    }
+    sqrtPrice = target;
+  }
+
+  return {
+    filled: remaining <= 0,
+    amountIn: amountIn - remaining / (1 - model.feeRate),
+    amountOut,
+    sqrtPrice
+  };
+};
+
+// Price impact of buying base with size quote tokens, and of selling size quote tokens'
+// worth of base at the current price. priceImpact is the move of the pool price and
+// slippage the average execution price against the current one (fee included), in percent.
+const estimateImpact = (model, size) => {
+  const startPrice = model.priceAt(model.sqrtPrice);
+  const percent = (price) => (price / startPrice - 1) * 100;
+
+  const buy = simulateSwap(model, !model.baseIsToken0, size * model.quoteScale);
+  const quoteIn = buy.amountIn / model.quoteScale;
+  const baseOut = buy.amountOut / model.baseScale;
+
+  const sell = simulateSwap(model, model.baseIsToken0, size / startPrice * model.baseScale);
+  const baseIn = sell.amountIn / model.baseScale;
+  const quoteOut = sell.amountOut / model.quoteScale;
+
+  const describe = (swap, amountIn, amountOut, averagePrice) => ({
+    amountIn,
+    amountOut,
+    averagePrice,
+    endPrice: model.priceAt(swap.sqrtPrice),
+    priceImpact: percent(model.priceAt(swap.sqrtPrice)),
+    slippage: averagePrice === null ? null : percent(averagePrice),
+    filled: swap.filled
+  });
+
+  return {
+    size,
+    buy: describe(buy, quoteIn, baseOut, baseOut > 0 ? quoteIn / baseOut : null),
+    sell: describe(sell, baseIn, quoteOut, baseIn > 0 ? quoteOut / baseIn : null)
+  };
+};
+
+// Tokens it takes to move the price by each band: up means buying base (base bought and
+// quote spent), down means selling it (base sold and quote received). Fees are left out.
+// complete is false where a band reaches past the scanned ranges.
+const describeBands = (model) => {
+  const { sqrtPrice, segments } = model;
+  const first = segments[0].sqrtLower;
+  const last = segments[segments.length - 1].sqrtUpper;
+
+  return depthBands.map(percent => {
+    // Raw sqrt prices move the other way from the base price when base is token1
+    const up = Math.sqrt(1 + percent / 100);
+    const down = Math.sqrt(1 - percent / 100);
+    const [upLow, upHigh] = model.baseIsToken0 ? [sqrtPrice, sqrtPrice * up] : [sqrtPrice / up, sqrtPrice];
+    const [downLow, downHigh] = model.baseIsToken0 ? [sqrtPrice * down, sqrtPrice] : [sqrtPrice, sqrtPrice / down];
+
+    return {
+      percent,
+      up: amountsBetween(model, upLow, upHigh),
+      down: amountsBetween(model, downLow, downHigh),
+      complete: Math.min(upLow, downLow) >= first && Math.max(upHigh, downHigh) <= last
+    };
+  });
+};
+
+// Liquidity distribution, depth bands and price impact of trade sizes (in the quote token)
+// from a depth state. Prices are base in quote, ranges ordered by price.
+export const describeDepth = (pool, state, sizes = []) => {
+  const model = buildModel(pool, state);
+  const { token0, token1 } = pool.tokens;
+
+  const distribution = model.segments.map((segment, i) => {
+    const clamped = Math.min(Math.max(model.sqrtPrice, segment.sqrtLower), segment.sqrtUpper);
+    const prices = [model.priceAt(segment.sqrtLower), model.priceAt(segment.sqrtUpper)].sort((a, b) => a - b);
+
+    return {
+      tickLower: segment.tickLower,
+      tickUpper: segment.tickUpper,
+      priceLower: prices[0],
+      priceUpper: prices[1],
+      liquidity: segment.liquidity.toString(),
+      ...model.orient(amount0(segment.L, clamped, segment.sqrtUpper), amount1(segment.L, segment.sqrtLower, clamped)),
+      active: i === model.current
+    };
+  });
+  if (!model.baseIsToken0) distribution.reverse();
+
+  const rangePrices = [model.priceAt(sqrtAtTick(state.lowerTick)), model.priceAt(sqrtAtTick(state.upperTick))].sort((a, b) => a - b);
+
+  return {
+    blockNumber: state.blockNumber,
+    fetchedAt: state.fetchedAt,
+    price: orientPrices(pool, sqrtPriceX96ToPrices(state.sqrtPriceX96, token0.decimals, token1.decimals)).price,
+    tick: state.tick,
+    tickSpacing: state.tickSpacing,
+    fee: state.fee, // Hundredths of a basis point, e.g. 2500 is 0.25%
+    liquidity: state.liquidity.toString(),
+    range: {
+      lowerTick: state.lowerTick,
+      upperTick: state.upperTick,
+      lowerPrice: rangePrices[0],
+      upperPrice: rangePrices[1],
+      initializedTicks: state.ticks.length
+    },
+    depth: describeBands(model),
+    impact: sizes.map(size => estimateImpact(model, size)),
+    distribution
+  };
+};
+
+// Depth history: a summary per snapshot, appended to depth.jsonl in the pool's data
+// directory. Entries older than depthHistoryMaxAge are dropped, and the file rewritten
+// once a tenth of it has expired.
+const histories = new WeakMap();
+const historyPath = (pool) => path.join(pool.dataDir, "depth.jsonl");
+
+const historyOf = (pool) => {
+  if (!histories.has(pool)) histories.set(pool, { entries: [], expired: 0, writing: Promise.resolve() });
+  return histories.get(pool);
+};
+
+// Queue a write to the history file behind the previous one
+const queueWrite = (pool, write) => {
+  const history = historyOf(pool);
+  history.writing = history.writing.catch(() => {}).then(write);
+  history.writing.catch(error => log.error("Error saving depth history", { pool: pool.name, error }));
+  return history.writing;
+};
+
+const rewriteHistory = (pool) => {
+  const history = historyOf(pool);
+  const contents = history.entries.map(entry => JSON.stringify(entry) + "\n").join("");
+  history.expired = 0;
+  return queueWrite(pool, () => writeFileAtomic(historyPath(pool), contents));
+};
+
+// Drop expired entries, rewriting the file when enough have
+const expireHistory = (pool, now = Date.now()) => {
+  const history = historyOf(pool);
+  const cutoff = now - parseDuration(depthHistoryMaxAge);
+  const expired = history.entries.findIndex(entry => entry.timestamp >= cutoff);
+  const count = expired === -1 ? history.entries.length : expired;
+  if (count === 0) return;
+
+  history.entries.splice(0, count);
+  history.expired += count;
+  if (history.expired >= Math.max(1, history.entries.length / 10)) rewriteHistory(pool);
+};
+
+export const loadDepthHistory = async (pool) => {
+  const history = historyOf(pool);
+  const filePath = historyPath(pool);
+  if (!(await fs.pathExists(filePath))) return history.entries;
+
+  history.entries = parseSegment(await fs.readFile(filePath, "utf8"), filePath);
+  expireHistory(pool);
+  return history.entries;
+};
+
+// Read the pool's depth and append a summary to its history
+export const recordDepthSnapshot = async (provider, pool) => {
+  const state = await getDepthState(provider, pool);
+  const { price, tick, liquidity, blockNumber, depth } = describeDepth(pool, state);
+  const entry = { timestamp: state.fetchedAt, blockNumber, price, tick, liquidity, depth };
+
+  historyOf(pool).entries.push(entry);
+  await queueWrite(pool, async () => {
+    await fs.ensureDir(pool.dataDir);
+    await fs.appendFile(historyPath(pool), JSON.stringify(entry) + "\n");
+  });
+  expireHistory(pool);
+  return entry;
+};
+
+// Snapshots between two timestamps, oldest first, the newest limit of them
+export const getDepthHistory = (pool, { fromTimestamp = null, toTimestamp = null, limit = null } = {}) => {
+  const entries = historyOf(pool).entries.filter(entry =>
+    (!fromTimestamp || entry.timestamp >= fromTimestamp) && (!toTimestamp || entry.timestamp <= toTimestamp)
+  );
+  return limit ? entries.slice(-limit) : entries;
+};
+
+// Load each pool's depth history and snapshot its depth now and every depthSnapshotInterval
+export const startDepthSnapshots = async (provider, pools) => {
+  const snapshot = (pool) => recordDepthSnapshot(provider, pool).catch(error => {
+    log.error("Error recording depth", { pool: pool.name, error });
+  });
+
+  for (const pool of pools) {
+    await loadDepthHistory(pool);
+    snapshot(pool);
+    setInterval(() => snapshot(pool), depthSnapshotInterval);
+  }
+};
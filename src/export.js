@@ -0,0 +1,135 @@
+import { ByteWriter, ParquetWriter, schemaFromColumnData } from "hyparquet-writer";
+
+// Export of candles and raw ticks as CSV, NDJSON or Parquet, written to any writable
+// stream (an HTTP response or a file) in batches that wait for the stream to drain, so
+// a large range never sits in memory as a whole file.
+
+export const exportFormats = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+  parquet: { contentType: "application/vnd.apache.parquet", extension: "parquet" }
+};
+
+// Rows per batch, and per Parquet row group
+const batchSize = 5000;
+
+const toInt64 = (value) => value === undefined || value === null ? null : BigInt(value);
+const orNull = (value) => value === undefined ? null : value;
+
+// Columns of each kind of export, with their Parquet type. Every export starts with the
+// time as ISO-8601 (a timestamp column in Parquet) and in Unix milliseconds.
+const timeColumns = [
+  { name: "time", type: "TIMESTAMP", value: row => new Date(row.timestamp) },
+  { name: "timestamp", type: "INT64", value: row => BigInt(row.timestamp) }
+];
+
+export const candleColumns = [
+  ...timeColumns,
+  ...["open", "high", "low", "close", "volume", "quoteVolume"].map(name => ({ name, type: "DOUBLE", value: row => orNull(row[name]) })),
+  { name: "trades", type: "INT32", value: row => orNull(row.trades) }
+];
+
+export const tickColumns = [
+  ...timeColumns,
+  ...["price", "baseVolume", "quoteVolume"].map(name => ({ name, type: "DOUBLE", value: row => orNull(row[name]) })),
+  { name: "blockNumber", type: "INT64", value: row => toInt64(row.blockNumber) },
+  { name: "logIndex", type: "INT32", value: row => orNull(row.logIndex) }
+];
+
+// Quote a CSV field if it needs it
+const csvField = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Plain value of a column for CSV and NDJSON
+const textValue = (column, row) => {
+  const value = column.value(row);
+  if (value instanceof Date) return value.toISOString();
+  return typeof value === "bigint" ? Number(value) : value;
+};
+
+// True once the output was closed, e.g. by a client disconnecting
+const isClosed = (output) => output.destroyed || output.writableEnded;
+
+// Write a chunk, waiting for the output to drain if its buffer is full
+const writeChunk = (output, chunk) => new Promise((resolve, reject) => {
+  if (isClosed(output)) return resolve();
+  if (output.write(chunk)) return resolve();
+
+  const done = (error) => {
+    output.off("drain", done);
+    output.off("close", done);
+    output.off("error", done);
+    if (error instanceof Error) reject(error);
+    else resolve();
+  };
+  output.on("drain", done);
+  output.on("close", done);
+  output.on("error", done);
+});
+
+// Text formats write one line per row, CSV after a header line
+const textEncoder = (format, columns) => ({
+  header: format === "csv" ? columns.map(column => column.name).join(",") + "\n" : "",
+  encode: (rows) => rows.map(row => format === "csv"
+    ? columns.map(column => csvField(textValue(column, row))).join(",") + "\n"
+    : JSON.stringify(Object.fromEntries(columns.map(column => [column.name, textValue(column, row)]))) + "\n"
+  ).join("")
+});
+
+// Parquet writer that hands each finished row group to the output instead of keeping it
+const parquetStream = (output, columns) => {
+  const writer = new ByteWriter();
+  const flush = () => {
+    const chunk = Buffer.from(writer.getBytes());
+    writer.index = 0;
+    return writeChunk(output, chunk);
+  };
+  writer.flush = flush;
+  writer.finish = flush;
+
+  const columnData = (rows) => columns.map(column => ({
+    name: column.name,
+    type: column.type,
+    data: rows.map(row => column.value(row))
+  }));
+
+  const parquet = new ParquetWriter({ writer, schema: schemaFromColumnData({ columnData: columnData([]) }) });
+
+  return {
+    write: (rows) => parquet.write({ columnData: columnData(rows), rowGroupSize: rows.length }),
+    finish: () => parquet.finish()
+  };
+};
+
+// Write rows (sorted oldest first) to output in the given format and end it. Stops early
+// if the output is closed.
+export const exportRows = async (output, format, columns, rows) => {
+  if (format === "parquet") {
+    const parquet = parquetStream(output, columns);
+    for (let start = 0; start < rows.length && !isClosed(output); start += batchSize) {
+      await parquet.write(rows.slice(start, start + batchSize));
+    }
+    await parquet.finish();
+  } else {
+    const { header, encode } = textEncoder(format, columns);
+    await writeChunk(output, header);
+    for (let start = 0; start < rows.length && !isClosed(output); start += batchSize) {
+      await writeChunk(output, encode(rows.slice(start, start + batchSize)));
+    }
+  }
+
+  if (!isClosed(output)) await new Promise(resolve => output.end(resolve));
+};
+
+// File name of an export, e.g. "OKS-1h-2026-01-01-2026-02-01.csv"
+export const exportFileName = (pool, series, format, fromTimestamp = null, toTimestamp = null) => {
+  const day = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+  const parts = [pool.name.replace(/[^\w.-]+/g, "_"), series];
+  if (fromTimestamp) parts.push(day(fromTimestamp));
+  if (toTimestamp) parts.push(day(toTimestamp));
+  return `${parts.join("-")}.${exportFormats[format].extension}`;
+};
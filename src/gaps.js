@@ -0,0 +1,96 @@
+import { resolutionStart, nextResolutionStart } from "./calendar.js";
+import { findCandleIndex } from "./ohlc.js";
+
+// Candles are only opened when a tick arrives, so buckets where ingestion was down or no
+// swap happened are missing from a series. These helpers find those empty buckets and
+// fill them in for clients that expect one candle per bucket.
+
+// How to handle empty buckets: "fill" with flat candles at the previous close, or "mark"
+// them with candles without prices
+export const gapModes = ["fill", "mark"];
+
+// Most empty buckets filled into one response
+export const maxGapCandles = 10000;
+
+// First bucket start at or after timestamp
+const firstBucketFrom = (resolution, timestamp, tz) => {
+  const start = resolutionStart(resolution, timestamp, tz);
+  return start < timestamp ? nextResolutionStart(resolution, start, tz) : start;
+};
+
+// Approximate number of buckets in [from, to); exact for fixed-width resolutions outside DST shifts
+const countBuckets = (resolution, from, to) => Math.max(1, Math.round((to - from) / resolution.ms));
+
+// Runs of empty buckets { from, to, index } in a series within the time range, each after
+// the candle at index: between consecutive candles, and after the last one up to the
+// bucket containing to (or now). Buckets before the first candle are not gaps, as there
+// is no telling whether data was never collected or dropped by retention.
+const gapRuns = (candles, resolution, tz, { from = null, to = null, now = Date.now() } = {}) => {
+  const end = Math.min(to || now, now);
+  const lastBucket = resolutionStart(resolution, end, tz);
+  const afterLast = nextResolutionStart(resolution, lastBucket, tz);
+  const rangeStart = from ? firstBucketFrom(resolution, from, tz) : -Infinity;
+
+  // The candle before the range opens a gap running into it
+  const first = Math.max(0, (from ? findCandleIndex(candles, from) : 0) - 1);
+  const runs = [];
+
+  for (let i = first; i < candles.length && candles[i].timestamp <= end; i++) {
+    const next = candles[i + 1];
+    const runStart = Math.max(nextResolutionStart(resolution, candles[i].timestamp, tz), rangeStart);
+    const runEnd = next && next.timestamp < afterLast ? next.timestamp : afterLast;
+
+    if (runStart < runEnd) runs.push({ from: runStart, to: runEnd, index: i });
+  }
+
+  return runs;
+};
+
+// Time ranges of a series with no candles, each { from, to, duration, missing } with the
+// number of missing buckets
+export const findGaps = (candles, resolution, tz, range = {}) => gapRuns(candles, resolution, tz, range)
+  .map(({ from, to }) => ({ from, to, duration: to - from, missing: countBuckets(resolution, from, to) }));
+
+// Candle for an empty bucket after the previous candle
+const gapCandle = (timestamp, previous, mode) => {
+  const price = mode === "fill" ? previous.close : null;
+  return {
+    timestamp,
+    open: price,
+    high: price,
+    low: price,
+    close: price,
+    volume: 0,
+    quoteVolume: 0,
+    trades: 0,
+    ...(mode === "fill" ? { filled: true } : { gap: true })
+  };
+};
+
+// Candles of a series within the time range with every empty bucket filled in according
+// to mode, or null if that would take more than maxGapCandles
+export const fillGaps = (candles, resolution, tz, mode, range = {}) => {
+  const { from = null, to = null } = range;
+  const runs = gapRuns(candles, resolution, tz, range);
+
+  const missing = runs.reduce((total, run) => total + countBuckets(resolution, run.from, run.to), 0);
+  if (missing > maxGapCandles) return null;
+
+  const filled = [];
+  let run = 0;
+
+  for (let i = from ? Math.max(0, findCandleIndex(candles, from) - 1) : 0; i < candles.length; i++) {
+    const candle = candles[i];
+    if (to && candle.timestamp > to) break;
+    if (!from || candle.timestamp >= from) filled.push(candle);
+
+    if (run < runs.length && runs[run].index === i) {
+      for (let t = runs[run].from; t < runs[run].to; t = nextResolutionStart(resolution, t, tz)) {
+        filled.push(gapCandle(t, candle, mode));
+      }
+      run += 1;
+    }
+  }
+
+  return filled;
+};
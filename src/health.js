@@ -0,0 +1,142 @@
+import { getPools } from "./pools.js";
+import { getEndpointHealth } from "./rpc.js";
+import { counter, gauge } from "./metrics.js";
+import { staleAfter } from "./config.js";
+
+// Service lifecycle: "starting" while pools load, "running" once ingestion started,
+// "failed" if startup failed
+const service = { state: "starting", startedAt: Date.now(), error: null };
+
+export const setServiceState = (state, error = null) => {
+  service.state = state;
+  service.error = error ? error.message : null;
+};
+
+export const isServiceRunning = () => service.state === "running";
+
+// Record a successful ingestion round: a slot0 read or a Swap log poll up to a block
+export const recordFetchSuccess = (pool, blockNumber = null) => {
+  pool.status.lastFetchAt = Date.now();
+  pool.status.consecutiveFailures = 0;
+  if (blockNumber !== null) pool.status.latestBlock = blockNumber;
+};
+
+const fetchErrors = counter("pool_fetch_errors_total", "Failed ingestion rounds (slot0 reads or Swap log polls) by pool");
+
+// Record a failed ingestion round
+export const recordFetchFailure = (pool, error) => {
+  fetchErrors.inc({ pool: pool.name });
+  pool.status.consecutiveFailures += 1;
+  pool.status.lastError = error.shortMessage || error.message;
+  pool.status.lastErrorAt = Date.now();
+};
+
+// Age of a pool's price in seconds, counted from when it was last confirmed: the last
+// successful fetch (a quiet pool's price is current even without new swaps) or the last
+// price change, whichever is later. Stale once older than the staleAfter threshold.
+// A derived price (a route) is as fresh as the stalest leg of its freshest path.
+export const getFreshness = (pool, now = Date.now()) => {
+  if (pool.paths) {
+    const ages = pool.paths.map(({ legs }) => {
+      const legAges = legs.map(leg => getFreshness(leg.pool, now).age);
+      return legAges.includes(null) ? null : Math.max(...legAges);
+    }).filter(age => age !== null);
+
+    if (ages.length === 0 || pool.priceData.lastUpdated === null) return { age: null, stale: true };
+    const age = Math.min(...ages);
+    return { age, stale: age * 1000 > staleAfter };
+  }
+
+  const confirmedAt = Math.max(pool.status.lastFetchAt || 0, pool.priceData.lastUpdated || 0);
+  if (confirmedAt === 0) return { age: null, stale: true };
+
+  const age = Math.max(0, now - confirmedAt) / 1000;
+  return { age, stale: age * 1000 > staleAfter };
+};
+
+// Loader, ingestion, RPC and persistence status of the service and every pool
+export const getHealthReport = (provider) => {
+  const now = Date.now();
+
+  const pools = getPools().map(pool => {
+    const { status } = pool;
+    const { age, stale } = getFreshness(pool, now);
+
+    return {
+      address: pool.address,
+      name: pool.name,
+      loader: {
+        data: status.loadError ? "failed" : status.loaded ? "loaded" : "loading",
+        tokens: pool.tokens ? "loaded" : "pending",
+        error: status.loadError
+      },
+      secondsSinceLastFetch: status.lastFetchAt === null ? null : (now - status.lastFetchAt) / 1000,
+      consecutiveFailures: status.consecutiveFailures,
+      lastError: status.lastError,
+      lastErrorAt: status.lastErrorAt,
+      latestBlock: status.latestBlock,
+      priceAge: age,
+      stale,
+      persistence: {
+        backend: pool.store.kind,
+        lastSavedAt: status.lastSavedAt,
+        lastError: status.lastSaveError,
+        lastErrorAt: status.lastSaveErrorAt
+      }
+    };
+  });
+
+  const endpoints = provider ? getEndpointHealth(provider) : [];
+  const lastFailed = endpoints
+    .filter(endpoint => endpoint.lastFailureAt !== null)
+    .sort((a, b) => b.lastFailureAt - a.lastFailureAt)[0];
+
+  const ready = service.state === "running" && pools.every(pool => pool.loader.data === "loaded" && !pool.stale);
+
+  return {
+    status: service.state === "failed" ? "failed" : ready ? "ok" : service.state === "starting" ? "starting" : "degraded",
+    ready,
+    startedAt: service.startedAt,
+    uptime: (now - service.startedAt) / 1000,
+    error: service.error,
+    staleAfter: staleAfter / 1000,
+    rpc: {
+      endpoints: endpoints.length,
+      healthyEndpoints: endpoints.filter(endpoint => endpoint.healthy).length,
+      lastError: lastFailed
+        ? { url: lastFailed.url, error: lastFailed.lastError, at: lastFailed.lastFailureAt }
+        : null
+    },
+    pools
+  };
+};
+
+// Price, freshness and stored data gauges of every pool and route
+export const registerPoolMetrics = (pools) => {
+  gauge("price_latest", "Latest price by pool", () => pools.map(pool => ({
+    labels: { pool: pool.name },
+    value: pool.priceData.latestPrice
+  })));
+
+  gauge("price_age_seconds", "Seconds since the price was last confirmed, by pool", () => pools.map(pool => ({
+    labels: { pool: pool.name },
+    value: getFreshness(pool).age
+  })));
+
+  gauge("price_stale", "1 if the price is stale, by pool", () => pools.map(pool => ({
+    labels: { pool: pool.name },
+    value: getFreshness(pool).stale ? 1 : 0
+  })));
+
+  gauge("price_ticks", "Raw ticks kept in history, by pool", () => pools.map(pool => ({
+    labels: { pool: pool.name },
+    value: pool.priceData.history.length
+  })));
+
+  gauge("candles", "Stored candles by pool and interval", () => pools.flatMap(pool =>
+    Object.entries(pool.priceData.ohlc).map(([interval, series]) => ({
+      labels: { pool: pool.name, interval },
+      value: series.length
+    }))
+  ));
+};
@@ -0,0 +1,235 @@
+import { getCandles, getCandleVersion } from "./aggregate.js";
+import { parseResolution } from "./units.js";
+import { resolutionStart } from "./calendar.js";
+
+// Technical indicators over candle series. Each indicator is a step function computing
+// the point at candle i from the candles and the state it left at candle i - 1, so a
+// cached series is brought up to date by recomputing only from its last candle, which is
+// the one live ticks keep changing. Points before an indicator has seen enough candles
+// to be meaningful (its warm-up) are null.
+
+// Price a moving average or band is taken from
+const sources = {
+  open: candle => candle.open,
+  high: candle => candle.high,
+  low: candle => candle.low,
+  close: candle => candle.close,
+  hl2: candle => (candle.high + candle.low) / 2,
+  hlc3: candle => (candle.high + candle.low + candle.close) / 3,
+  ohlc4: candle => (candle.open + candle.high + candle.low + candle.close) / 4
+};
+
+const periodParam = (defaultValue) => ({ type: "integer", default: defaultValue, min: 1, max: 1000 });
+const sourceParam = { type: "enum", default: "close", values: Object.keys(sources) };
+
+// Mean and population standard deviation of a source over the period candles ending at i
+const windowStats = (candles, i, period, source) => {
+  let sum = 0;
+  for (let j = i - period + 1; j <= i; j++) sum += sources[source](candles[j]);
+  const mean = sum / period;
+
+  let squares = 0;
+  for (let j = i - period + 1; j <= i; j++) squares += (sources[source](candles[j]) - mean) ** 2;
+  return { mean, stdDev: Math.sqrt(squares / period) };
+};
+
+// Wilder's smoothing: a simple average of the first period values, then
+// average = (previous * (period - 1) + value) / period
+const wilder = (previous, value, period) => {
+  if (previous.count < period) {
+    const sum = previous.sum + value;
+    const count = previous.count + 1;
+    return { sum, count, average: count === period ? sum / period : null };
+  }
+  return { ...previous, average: (previous.average * (period - 1) + value) / period };
+};
+const wilderStart = { sum: 0, count: 0, average: null };
+
+// True range: the candle's range extended to the previous close
+const trueRange = (candle, previous) => previous
+  ? Math.max(candle.high - candle.low, Math.abs(candle.high - previous.close), Math.abs(candle.low - previous.close))
+  : candle.high - candle.low;
+
+export const indicators = {
+  // Simple moving average
+  sma: {
+    outputs: ["value"],
+    params: { period: periodParam(20), source: sourceParam },
+    warmup: ({ period }) => period - 1,
+    step: (candles, i, { period, source }) => ({
+      state: null,
+      point: i >= period - 1 ? { value: windowStats(candles, i, period, source).mean } : null
+    })
+  },
+
+  // Exponential moving average, seeded with the simple average of its first period candles
+  ema: {
+    outputs: ["value"],
+    params: { period: periodParam(20), source: sourceParam },
+    warmup: ({ period }) => period - 1,
+    step: (candles, i, { period, source }, previous = { sum: 0, ema: null }) => {
+      const price = sources[source](candles[i]);
+      if (previous.ema === null) {
+        const sum = previous.sum + price;
+        const ema = i === period - 1 ? sum / period : null;
+        return { state: { sum, ema }, point: ema === null ? null : { value: ema } };
+      }
+
+      const ema = previous.ema + (price - previous.ema) * 2 / (period + 1);
+      return { state: { sum: previous.sum, ema }, point: { value: ema } };
+    }
+  },
+
+  // Relative strength index with Wilder's smoothing of gains and losses
+  rsi: {
+    outputs: ["value"],
+    params: { period: periodParam(14), source: sourceParam },
+    warmup: ({ period }) => period,
+    step: (candles, i, { period, source }, previous = { gain: wilderStart, loss: wilderStart }) => {
+      if (i === 0) return { state: previous, point: null };
+
+      const change = sources[source](candles[i]) - sources[source](candles[i - 1]);
+      const gain = wilder(previous.gain, Math.max(change, 0), period);
+      const loss = wilder(previous.loss, Math.max(-change, 0), period);
+      const state = { gain, loss };
+
+      if (gain.average === null) return { state, point: null };
+      const value = loss.average === 0
+        ? (gain.average === 0 ? 50 : 100)
+        : 100 - 100 / (1 + gain.average / loss.average);
+      return { state, point: { value } };
+    }
+  },
+
+  // Volume-weighted average of the typical price, restarting at every anchor period
+  // (a day by default). Null until the period has traded volume.
+  vwap: {
+    outputs: ["value"],
+    params: { anchor: { type: "resolution", default: "1d" } },
+    warmup: () => 0,
+    step: (candles, i, { anchor }, previous = null, tz) => {
+      const candle = candles[i];
+      const session = resolutionStart(anchor, candle.timestamp, tz);
+      const start = previous && previous.session === session ? previous : { session, priceVolume: 0, volume: 0 };
+
+      const volume = candle.volume || 0;
+      const state = {
+        session,
+        priceVolume: start.priceVolume + sources.hlc3(candle) * volume,
+        volume: start.volume + volume
+      };
+      return { state, point: state.volume > 0 ? { value: state.priceVolume / state.volume } : null };
+    }
+  },
+
+  // Bollinger Bands: a simple moving average and bands stdDev standard deviations around it
+  bollinger: {
+    outputs: ["middle", "upper", "lower"],
+    params: { period: periodParam(20), stdDev: { type: "number", default: 2, min: 0.1, max: 10 }, source: sourceParam },
+    warmup: ({ period }) => period - 1,
+    step: (candles, i, { period, stdDev, source }) => {
+      if (i < period - 1) return { state: null, point: null };
+
+      const stats = windowStats(candles, i, period, source);
+      return {
+        state: null,
+        point: {
+          middle: stats.mean,
+          upper: stats.mean + stdDev * stats.stdDev,
+          lower: stats.mean - stdDev * stats.stdDev
+        }
+      };
+    }
+  },
+
+  // Average true range with Wilder's smoothing
+  atr: {
+    outputs: ["value"],
+    params: { period: periodParam(14) },
+    warmup: ({ period }) => period - 1,
+    step: (candles, i, { period }, previous = wilderStart) => {
+      const state = wilder(previous, trueRange(candles[i], candles[i - 1]), period);
+      return { state, point: state.average === null ? null : { value: state.average } };
+    }
+  }
+};
+
+// Parse an indicator's parameters from a query string; returns { error } if one is invalid
+export const parseIndicatorParams = (indicator, query) => {
+  const params = {};
+
+  for (const [name, spec] of Object.entries(indicator.params)) {
+    const provided = query[name];
+    const value = provided === undefined ? spec.default : provided;
+
+    if (spec.type === "enum") {
+      if (!spec.values.includes(value)) return { error: `Invalid ${name} parameter`, provided, validValues: spec.values };
+      params[name] = value;
+    } else if (spec.type === "resolution") {
+      const resolution = parseResolution(value);
+      if (!resolution) return { error: `Invalid ${name} parameter`, provided };
+      params[name] = resolution;
+    } else {
+      const number = Number(value);
+      if (!Number.isFinite(number) || (spec.type === "integer" && !Number.isInteger(number)) || number < spec.min || number > spec.max) {
+        return { error: `Invalid ${name} parameter. Use ${spec.type === "integer" ? "an integer" : "a number"} from ${spec.min} to ${spec.max}.`, provided };
+      }
+      params[name] = number;
+    }
+  }
+
+  return params;
+};
+
+// Computed indicator series per pool, keyed by indicator, parameters, resolution and timezone
+const caches = new WeakMap();
+const maxCachedSeries = 50;
+
+// Parameters as they appear in a cache key and in responses
+export const describeParams = (params) => Object.fromEntries(
+  Object.entries(params).map(([name, value]) => [name, value && value.name ? value.name : value])
+);
+
+// Compute points from index start onwards, continuing from the state left at start - 1
+const computeFrom = (entry, indicator, params, tz, start) => {
+  const { candles, states, points } = entry;
+  states.length = start;
+  points.length = start;
+
+  for (let i = start; i < candles.length; i++) {
+    const { state, point } = indicator.step(candles, i, params, i > 0 ? states[i - 1] : undefined, tz);
+    states.push(state);
+    points.push(point);
+  }
+};
+
+// Indicator points for every candle of a series, as { candles, points }. A cached series
+// is updated from its last candle onwards while the candles only grew at the end;
+// anything else (retention trimming the start, a backfill rewriting candles) recomputes it.
+export const getIndicator = (priceData, name, params, resolution, tz) => {
+  const indicator = indicators[name];
+  const { ohlc } = getCandles(priceData, resolution, tz);
+
+  if (!caches.has(priceData)) caches.set(priceData, new Map());
+  const cache = caches.get(priceData);
+  const key = `${name}|${JSON.stringify(describeParams(params))}|${resolution.name}|${tz.name}`;
+  const version = getCandleVersion(priceData);
+  let entry = cache.get(key);
+
+  const current = entry && entry.candles === ohlc && entry.version === version &&
+    ohlc.length >= entry.points.length && entry.points.length > 0 &&
+    ohlc[0].timestamp === entry.first;
+
+  if (current) {
+    computeFrom(entry, indicator, params, tz, entry.points.length - 1);
+  } else {
+    entry = { candles: ohlc, version, first: ohlc.length > 0 ? ohlc[0].timestamp : null, states: [], points: [] };
+    computeFrom(entry, indicator, params, tz, 0);
+
+    cache.delete(key);
+    if (cache.size >= maxCachedSeries) cache.delete(cache.keys().next().value);
+    cache.set(key, entry);
+  }
+
+  return { candles: ohlc, points: entry.points };
+};
@@ -0,0 +1,25 @@
+import { parseResolution } from "./units.js";
+import { candleIntervals } from "./config.js";
+
+// The stored candle intervals, as set by the candleIntervals setting. Every candle series,
+// route, aggregator and retention rule works from these.
+
+// Candle intervals and their nominal width in milliseconds, finest first
+export const intervals = Object.fromEntries(
+  Object.keys(candleIntervals)
+    .map(interval => [interval, parseResolution(interval).ms])
+    .sort(([, a], [, b]) => a - b)
+);
+
+// The finest stored interval
+export const finestInterval = Object.keys(intervals)[0];
+
+// The resolution each stored interval holds
+export const intervalResolutions = Object.fromEntries(
+  Object.keys(intervals).map(interval => [interval, parseResolution(interval)])
+);
+
+// Stored interval of every name and alias clients may use, e.g. "60" and "1hour" for "1h"
+export const intervalAliases = new Map(Object.entries(candleIntervals).flatMap(([interval, { aliases = [] }]) =>
+  [interval, ...aliases].map(name => [name, interval])
+));
@@ -0,0 +1,97 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+import { logLevel, logFormat } from "./config.js";
+
+// Structured logging. Every line is a JSON object { time, level, msg, ...fields } on stdout
+// (stderr for warnings and errors); lines below LOG_LEVEL are dropped. Lines written while
+// handling an HTTP request carry its requestId. LOG_FORMAT=text writes the same fields as
+// "time level msg key=value" for reading in a terminal, which the CLI defaults to. The
+// config checks LOG_LEVEL against these levels.
+
+const levels = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const settings = { level: logLevel, format: logFormat };
+
+// Request context of the code running now, set by requestLogger
+const context = new AsyncLocalStorage();
+
+// Switch the output format, e.g. to text for the CLI
+export const setLogFormat = (format) => {
+  settings.format = format;
+};
+
+// Errors become plain objects, keeping ethers' short message and code
+const serialize = (value) => {
+  if (!(value instanceof Error)) return value;
+
+  return {
+    name: value.name,
+    message: value.message,
+    ...(value.shortMessage ? { shortMessage: value.shortMessage } : {}),
+    ...(value.code !== undefined ? { code: value.code } : {}),
+    stack: value.stack
+  };
+};
+
+const formatText = ({ time, level, msg, ...fields }) => {
+  const pairs = Object.entries(fields).map(([key, value]) => {
+    const text = value instanceof Object ? JSON.stringify(key === "error" ? value.message : value) : String(value);
+    return `${key}=${text}`;
+  });
+  return [time, level.toUpperCase().padEnd(5), msg, ...pairs].join(" ");
+};
+
+const write = (level, msg, fields = {}) => {
+  if (levels[level] < levels[settings.level]) return;
+
+  const store = context.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(store ? { requestId: store.requestId } : {}),
+    ...Object.fromEntries(Object.entries(fields)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => [key, serialize(value)]))
+  };
+
+  const line = settings.format === "text" ? formatText(entry) : JSON.stringify(entry);
+  (levels[level] >= levels.warn ? process.stderr : process.stdout).write(line + "\n");
+};
+
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields)
+};
+
+// Incoming request ids are reused when they look like one, so ids follow a request
+// through proxies; anything else gets a fresh id
+const validRequestId = /^[\w.:-]{1,128}$/;
+
+// Give every request an id, returned in X-Request-Id and added to every line logged while
+// handling it, and log each request once its response is sent. The api_key query parameter
+// is left out of the logged path.
+export const requestLogger = (req, res, next) => {
+  const incoming = req.get("x-request-id");
+  const requestId = incoming && validRequestId.test(incoming) ? incoming : randomUUID();
+  const started = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+
+  res.on("finish", () => {
+    const status = res.statusCode;
+    context.run({ requestId }, () => write(status >= 500 ? "error" : "info", "Request", {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status,
+      durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+      client: req.apiClient ? `${req.apiClient.type}:${req.apiClient.name}` : undefined,
+      ip: req.ip
+    }));
+  });
+
+  context.run({ requestId }, next);
+};
@@ -0,0 +1,131 @@
+// Metrics in the Prometheus text exposition format, served at /metrics. Counters and
+// histograms are updated where things happen; gauges of current state (prices, candle
+// counts, memory) are read from a callback when scraped.
+
+const metrics = new Map();
+
+// Latency buckets, in seconds
+export const latencyBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const register = (metric) => {
+  if (metrics.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  metrics.set(metric.name, metric);
+  return metric;
+};
+
+// Series of a metric keyed by their labels, in a stable order
+const labelKey = (labels) => JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+
+const seriesFor = (metric, labels, create) => {
+  const key = labelKey(labels);
+  if (!metric.series.has(key)) metric.series.set(key, { labels, ...create() });
+  return metric.series.get(key);
+};
+
+// A counter: inc(labels, amount)
+export const counter = (name, help) => {
+  const metric = register({ name, help, type: "counter", series: new Map() });
+  return {
+    inc: (labels = {}, amount = 1) => {
+      seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+    }
+  };
+};
+
+// A histogram: observe(labels, value)
+export const histogram = (name, help, buckets = latencyBuckets) => {
+  const metric = register({ name, help, type: "histogram", buckets, series: new Map() });
+  return {
+    observe: (labels, value) => {
+      const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, i) => {
+        if (value <= bound) series.counts[i] += 1;
+      });
+      series.sum += value;
+      series.count += 1;
+    }
+  };
+};
+
+// A gauge read when scraped: collect() returns [{ labels, value }]
+export const gauge = (name, help, collect) => {
+  register({ name, help, type: "gauge", collect });
+};
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return Number.isNaN(value) ? "NaN" : String(value);
+};
+
+const renderMetric = (metric) => {
+  const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+  if (metric.type === "gauge") {
+    metric.collect()
+      .filter(({ value }) => value !== null && value !== undefined)
+      .forEach(({ labels = {}, value }) => lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(Number(value))}`));
+  } else if (metric.type === "counter") {
+    metric.series.forEach(({ labels, value }) => lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(value)}`));
+  } else {
+    metric.series.forEach(({ labels, counts, sum, count }) => {
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${metric.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+    });
+  }
+
+  return lines.join("\n");
+};
+
+// Every metric in the text exposition format
+export const renderMetrics = () => Array.from(metrics.values()).map(renderMetric).join("\n\n") + "\n";
+
+// Process memory and uptime
+gauge("process_resident_memory_bytes", "Resident memory size in bytes", () => [{ value: process.memoryUsage().rss }]);
+gauge("nodejs_heap_size_used_bytes", "V8 heap used in bytes", () => [{ value: process.memoryUsage().heapUsed }]);
+gauge("nodejs_heap_size_total_bytes", "V8 heap allocated in bytes", () => [{ value: process.memoryUsage().heapTotal }]);
+gauge("nodejs_external_memory_bytes", "Memory of C++ objects bound to JavaScript objects, in bytes", () => [{ value: process.memoryUsage().external }]);
+gauge("process_uptime_seconds", "Seconds since the process started", () => [{ value: process.uptime() }]);
+
+// Route pattern of a matched request: mount paths are reported with their values, so those
+// are put back in parameter form
+const routePattern = (req) => {
+  if (!req.route) return "unmatched";
+
+  const base = req.baseUrl.split("/").map(segment => {
+    const param = Object.entries(req.params).find(([, value]) => encodeURIComponent(value) === segment);
+    return param && segment !== "" ? `:${param[0]}` : segment;
+  }).join("/");
+  return req.route.path === "/" && base !== "" ? base : `${base}${req.route.path}`;
+};
+
+const httpRequests = histogram("http_request_duration_seconds", "HTTP request latency by method, route and status");
+
+// Time every HTTP request by its route pattern, e.g. /api/pools/:address/price/ohlc/:interval,
+// so pool addresses and timestamps in paths do not each start a series. Requests that
+// matched no route count under "unmatched".
+export const measureRequests = (req, res, next) => {
+  const started = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    httpRequests.observe(
+      { method: req.method, route: routePattern(req), status: res.statusCode },
+      Number(process.hrtime.bigint() - started) / 1e9
+    );
+  });
+
+  next();
+};
@@ -0,0 +1,258 @@
+import { intervals, intervalAliases } from "./intervals.js";
+import { bucketStart, nextBucketStart, defaultTimeZone } from "./calendar.js";
+import { log } from "./logger.js";
+
+// Swaps carry traded amounts; slot0 polls only carry a price
+const isTrade = (tick) => tick.baseVolume !== undefined;
+
+// Start a new candle from a price tick
+export const openCandle = (timestamp, tick) => ({
+  timestamp,
+  open: tick.price,
+  high: tick.price,
+  low: tick.price,
+  close: tick.price,
+  volume: tick.baseVolume || 0, // Base token volume
+  quoteVolume: tick.quoteVolume || 0,
+  trades: isTrade(tick) ? 1 : 0
+});
+
+// Fold a price tick into an existing candle
+export const updateCandle = (candle, tick) => {
+  candle.high = Math.max(candle.high, tick.price);
+  candle.low = Math.min(candle.low, tick.price);
+  candle.close = tick.price;
+  candle.volume = (candle.volume || 0) + (tick.baseVolume || 0);
+  candle.quoteVolume = (candle.quoteVolume || 0) + (tick.quoteVolume || 0);
+  candle.trades = (candle.trades || 0) + (isTrade(tick) ? 1 : 0);
+};
+
+// Combine consecutive candles (oldest first) into one candle starting at timestamp
+export const combineCandles = (timestamp, candles) => {
+  const combined = {
+    timestamp,
+    open: candles[0].open,
+    high: candles[0].high,
+    low: candles[0].low,
+    close: candles[candles.length - 1].close,
+    volume: 0,
+    quoteVolume: 0,
+    trades: 0
+  };
+
+  candles.forEach(candle => {
+    combined.high = Math.max(combined.high, candle.high);
+    combined.low = Math.min(combined.low, candle.low);
+    combined.volume += candle.volume || 0;
+    combined.quoteVolume += candle.quoteVolume || 0;
+    combined.trades += candle.trades || 0;
+  });
+
+  return combined;
+};
+
+// Find the index of the candle starting at timestamp, or where it would be inserted
+export const findCandleIndex = (series, timestamp) => {
+  let low = 0;
+  let high = series.length;
+
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (series[mid].timestamp < timestamp) low = mid + 1;
+    else high = mid;
+  }
+
+  return low;
+};
+
+// Build an interval's candles from time-ordered price ticks
+export const buildCandles = (interval, ticks) => {
+  const candles = [];
+
+  ticks.forEach(tick => {
+    // Calculate the candle start time (rounded down to interval boundary)
+    const roundedTimestamp = bucketStart(interval, tick.timestamp, defaultTimeZone);
+
+    // If no candles exist or the last candle is for a different time period, create a new one
+    if (candles.length === 0 || candles[candles.length - 1].timestamp !== roundedTimestamp) {
+      candles.push(openCandle(roundedTimestamp, tick));
+    } else {
+      updateCandle(candles[candles.length - 1], tick);
+    }
+  });
+
+  return candles;
+};
+
+// Backfill historical OHLC data from existing price history
+export const backfillHistoricalOHLC = (priceData) => {
+  if (priceData.history.length === 0) return;
+
+  // Only backfill if OHLC arrays are empty or very small
+  Object.keys(intervals).forEach(interval => {
+    if (priceData.ohlc[interval] && priceData.ohlc[interval].length >= 2) {
+      return; // Skip if we already have sufficient data
+    }
+
+    priceData.ohlc[interval] = buildCandles(interval, priceData.history);
+
+    log.info("Backfilled candles from price history", { interval, candles: priceData.ohlc[interval].length });
+  });
+};
+
+// Get interval prices data
+export const getIntervalPrices = (priceData, minutes, limit = 10) => {
+  const now = Date.now();
+  const cutoffTime = now - (minutes * 60 * 1000);
+
+  // Filter price history to the specified interval
+  let filteredData = priceData.history
+    .filter(item => item.timestamp >= cutoffTime)
+    .map(item => ({
+      price: item.price,
+      timestamp: item.timestamp
+    }));
+
+  // For longer intervals (1w, 1M), if no data in time window, use all available data
+  if (filteredData.length === 0 && (minutes >= 10080)) { // 1w = 10080 minutes
+    filteredData = priceData.history
+      .map(item => ({
+        price: item.price,
+        timestamp: item.timestamp
+      }));
+  }
+
+  // If we have more data points than the limit, sample them
+  if (filteredData.length > limit) {
+    const result = [];
+    const step = Math.floor(filteredData.length / limit);
+
+    // Take evenly distributed samples
+    for (let i = 0; i < limit - 1; i++) {
+      result.push(filteredData[i * step]);
+    }
+
+    // Always include the most recent data point
+    result.push(filteredData[filteredData.length - 1]);
+
+    return result;
+  }
+
+  return filteredData;
+};
+
+// Process OHLC data for each interval
+export const updateOHLCData = (priceData, tick) => {
+  const { timestamp } = tick;
+
+  Object.keys(intervals).forEach(interval => {
+    const currentOHLC = priceData.ohlc[interval];
+    const lastCandle = currentOHLC[currentOHLC.length - 1];
+
+    // Calculate the candle start time (rounded down to interval boundary)
+    const roundedTimestamp = bucketStart(interval, timestamp, defaultTimeZone);
+
+    // Ignore ticks that arrive after their candle has already been superseded
+    if (lastCandle && roundedTimestamp < lastCandle.timestamp) return;
+
+    // If no candles exist or the last candle is complete, create a new one
+    if (!lastCandle || roundedTimestamp > lastCandle.timestamp) {
+      currentOHLC.push(openCandle(roundedTimestamp, tick));
+    } else {
+      // Update the current candle
+      updateCandle(lastCandle, tick);
+    }
+  });
+};
+
+// Group time-ordered candles into coarser buckets
+export const regroupCandles = (candles, toBucket) => {
+  const result = [];
+  let group = [];
+  let groupStart = null;
+
+  candles.forEach(candle => {
+    const bucket = toBucket(candle);
+    if (group.length > 0 && bucket !== groupStart) {
+      result.push(combineCandles(groupStart, group));
+      group = [];
+    }
+    groupStart = bucket;
+    group.push(candle);
+  });
+
+  if (group.length > 0) result.push(combineCandles(groupStart, group));
+  return result;
+};
+
+// Re-bucket stored candles that no longer sit on a boundary of the configured timezone,
+// e.g. epoch-aligned weeks and 30-day months saved before candles were calendar-aligned
+export const realignOHLCData = (priceData) => {
+  Object.keys(intervals).forEach(interval => {
+    const series = priceData.ohlc[interval];
+    const aligned = candle => bucketStart(interval, candle.timestamp, defaultTimeZone) === candle.timestamp;
+    if (series.every(aligned)) return;
+
+    priceData.ohlc[interval] = regroupCandles(series, candle => bucketStart(interval, candle.timestamp, defaultTimeZone));
+    log.info("Realigned candles to timezone boundaries", { interval, candles: series.length, timezone: defaultTimeZone.name });
+  });
+};
+
+// Apply a price tick to a pool's in-memory state
+export const applyTick = (priceData, tick, exact) => {
+  priceData.latestPrice = tick.price;
+  priceData.latestExact = exact;
+  priceData.lastUpdated = tick.timestamp;
+
+  // Add to history
+  priceData.history.push(tick);
+
+  // Update OHLC data
+  updateOHLCData(priceData, tick);
+};
+
+// Fold a tick older than the latest into raw history and the candles of its buckets, e.g.
+// a quarantined tick released after later ticks were recorded. A candle's open or close
+// only moves to the tick where raw history shows it was the first or last in its bucket.
+export const insertTick = (priceData, tick) => {
+  const { history } = priceData;
+  let index = history.length;
+  while (index > 0 && history[index - 1].timestamp > tick.timestamp) index--;
+  history.splice(index, 0, tick);
+
+  const previous = history[index - 1];
+  const next = history[index + 1];
+
+  Object.keys(intervals).forEach(interval => {
+    const series = priceData.ohlc[interval];
+    const bucket = bucketStart(interval, tick.timestamp, defaultTimeZone);
+    const position = findCandleIndex(series, bucket);
+    const candle = series[position];
+
+    if (!candle || candle.timestamp !== bucket) {
+      series.splice(position, 0, openCandle(bucket, tick));
+      return;
+    }
+
+    const { open, close } = candle;
+    updateCandle(candle, tick);
+    candle.open = previous && previous.timestamp < bucket ? tick.price : open;
+    candle.close = next && next.timestamp >= nextBucketStart(interval, bucket, defaultTimeZone) ? tick.price : close;
+  });
+};
+
+// Map an interval parameter, a stored interval's name or one of its aliases, onto the
+// stored interval, or null if it is not one
+export const mapInterval = (interval) => intervalAliases.get(String(interval)) || null;
+
+// Helper function to filter OHLC data by timestamp range
+export const filterOHLCByTimeRange = (ohlcData, fromTimestamp, toTimestamp) => {
+  if (!ohlcData || ohlcData.length === 0) return [];
+
+  return ohlcData.filter(candle => {
+    const candleTime = candle.timestamp;
+    const afterFrom = !fromTimestamp || candleTime >= fromTimestamp;
+    const beforeTo = !toTimestamp || candleTime <= toTimestamp;
+    return afterFrom && beforeTo;
+  });
+};
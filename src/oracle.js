@@ -0,0 +1,63 @@
+import { Contract } from "ethers";
+import IUniswapV3PoolABI from "../artifacts/IUniswapV3PoolAbi.json" assert { type: "json" };
+import { loadPoolTokens } from "./poller.js";
+import { tickToSqrtPriceX96, sqrtPriceX96ToPrices, orientPrices } from "./pricing.js";
+
+// Longest window observe() can be asked for (secondsAgos are uint32)
+export const MAX_TWAP_WINDOW = 2 ** 32 - 1;
+
+// Read the pool's oracle: its observation slots and how far back the oldest stored
+// observation reaches, which bounds the longest TWAP window it can answer
+export const getOracleState = async (provider, pool) => {
+  const poolContract = new Contract(pool.address, IUniswapV3PoolABI.abi, provider);
+  const [slot0, block] = await Promise.all([poolContract.slot0(), provider.getBlock("latest")]);
+
+  const observationIndex = Number(slot0.observationIndex);
+  const observationCardinality = Number(slot0.observationCardinality);
+  if (observationCardinality === 0) {
+    throw new Error(`Pool ${pool.name} is not initialized`);
+  }
+
+  // Observations are a ring buffer: the slot after the newest holds the oldest once the
+  // buffer has wrapped, and slot 0 does until then
+  let oldest = await poolContract.observations((observationIndex + 1) % observationCardinality);
+  if (!oldest.initialized) oldest = await poolContract.observations(0);
+
+  const oldestTimestamp = Number(oldest.blockTimestamp);
+
+  return {
+    observationIndex,
+    observationCardinality,
+    observationCardinalityNext: Number(slot0.observationCardinalityNext),
+    oldestObservation: oldestTimestamp * 1000,
+    blockTimestamp: block.timestamp * 1000,
+    maxWindow: Math.max(0, block.timestamp - oldestTimestamp) // Seconds
+  };
+};
+
+// True if observe() reverted because the window reaches past the oldest observation
+export const isWindowTooLongError = (error) => error.reason === "OLD" || /\bOLD\b/.test(error.shortMessage || "");
+
+// Time-weighted average price over the last windowSeconds, from the difference of the
+// pool's tick cumulatives. The mean tick is rounded towards negative infinity, as
+// Uniswap's OracleLibrary does, and priced with the same decimal adjustment as spot prices.
+export const getTwap = async (provider, pool, windowSeconds) => {
+  if (!pool.tokens) await loadPoolTokens(provider, pool);
+
+  const poolContract = new Contract(pool.address, IUniswapV3PoolABI.abi, provider);
+  const { tickCumulatives } = await poolContract.observe([windowSeconds, 0]);
+
+  const window = BigInt(windowSeconds);
+  const delta = tickCumulatives[1] - tickCumulatives[0];
+  let averageTick = delta / window;
+  if (delta < 0n && delta % window !== 0n) averageTick -= 1n;
+
+  const { token0, token1 } = pool.tokens;
+  const prices = sqrtPriceX96ToPrices(tickToSqrtPriceX96(Number(averageTick)), token0.decimals, token1.decimals);
+
+  return {
+    window: windowSeconds,
+    averageTick: Number(averageTick),
+    ...orientPrices(pool, prices)
+  };
+};
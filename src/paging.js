@@ -0,0 +1,121 @@
+import { createHash } from "crypto";
+import { findCandleIndex } from "./ohlc.js";
+
+// Paging and output shaping for candle responses. Pages are cut with ?limit and the
+// exclusive ?before/?after cursors, which are candle timestamps: the next cursor of a
+// response is the timestamp of its last candle.
+
+export const candleFields = ["timestamp", "open", "high", "low", "close", "volume", "quoteVolume", "trades"];
+export const candleFormats = ["rows", "columnar"];
+export const maxPageSize = 10000;
+
+// Flags set on candles filled in for empty buckets (see gaps.js), kept whatever the fields
+const flagFields = ["filled", "gap"];
+
+// Parse an optional cursor; NaN if it is not a timestamp
+const parseCursor = (value) => value === undefined ? null : /^\d+$/.test(value) ? Number(value) : NaN;
+
+// Parse the paging and output parameters: limit, before, after, order (asc or desc), fields
+// (comma-separated, timestamp is always included) and format (rows or columnar).
+// Returns { error, ... } for an invalid one.
+export const parsePaging = (query) => {
+  let limit = null;
+  if (query.limit !== undefined) {
+    limit = /^\d+$/.test(query.limit) ? Number(query.limit) : NaN;
+    if (!(limit >= 1 && limit <= maxPageSize)) {
+      return { error: `Invalid limit parameter. Use 1 to ${maxPageSize}.`, provided: query.limit };
+    }
+  }
+
+  const before = parseCursor(query.before);
+  const after = parseCursor(query.after);
+  for (const [name, value] of [["before", before], ["after", after]]) {
+    if (Number.isNaN(value)) {
+      return { error: `Invalid ${name} parameter. Must be a candle timestamp in milliseconds.`, provided: query[name] };
+    }
+  }
+
+  const order = query.order || "asc";
+  if (order !== "asc" && order !== "desc") {
+    return { error: "Invalid order parameter. Use asc or desc.", provided: query.order };
+  }
+
+  let fields = null;
+  if (query.fields) {
+    fields = String(query.fields).split(",").map(field => field.trim()).filter(Boolean);
+    const unknown = fields.find(field => !candleFields.includes(field));
+    if (unknown) {
+      return { error: "Invalid fields parameter", provided: unknown, validFields: candleFields };
+    }
+    if (!fields.includes("timestamp")) fields.unshift("timestamp");
+  }
+
+  const format = query.format || "rows";
+  if (!candleFormats.includes(format)) {
+    return { error: "Invalid format parameter", provided: query.format, validFormats: candleFormats };
+  }
+
+  return { limit, before, after, order, fields, format };
+};
+
+// Cut a page from candles sorted oldest first: those between the cursors, in the requested
+// order, up to the limit. next is the cursor continuing in the same order, null on the last page.
+export const paginate = (candles, { limit, before, after, order }) => {
+  const start = after === null ? 0 : findCandleIndex(candles, after + 1);
+  const end = before === null ? candles.length : findCandleIndex(candles, before);
+  const available = Math.max(0, end - start);
+  const size = limit === null ? available : Math.min(limit, available);
+
+  const page = order === "asc"
+    ? candles.slice(start, start + size)
+    : candles.slice(end - size, end).reverse();
+
+  const hasMore = size < available;
+  return {
+    candles: page,
+    hasMore,
+    next: hasMore ? page[page.length - 1].timestamp : null
+  };
+};
+
+// Shape candles for the response: the selected fields of each candle, or one array per field
+export const formatCandles = (candles, { fields, format }) => {
+  const selected = fields || candleFields;
+  const flags = flagFields.filter(flag => candles.some(candle => flag in candle));
+
+  if (format === "columnar") {
+    return Object.fromEntries([
+      ...selected.map(field => [field, candles.map(candle => candle[field] ?? null)]),
+      ...flags.map(flag => [flag, candles.map(candle => candle[flag] === true)])
+    ]);
+  }
+
+  if (!fields) return candles;
+
+  return candles.map(candle => {
+    const row = {};
+    selected.forEach(field => { row[field] = candle[field]; });
+    flags.forEach(flag => { if (flag in candle) row[flag] = candle[flag]; });
+    return row;
+  });
+};
+
+// Page and shape a series: { count, ohlc, page } for a candle response
+export const pageCandles = (candles, paging) => {
+  const { candles: page, hasMore, next } = paginate(candles, paging);
+  return {
+    count: page.length,
+    ohlc: formatCandles(page, paging),
+    page: {
+      order: paging.order,
+      limit: paging.limit,
+      before: paging.before,
+      after: paging.after,
+      hasMore,
+      next
+    }
+  };
+};
+
+// Weak entity tag of response data, for conditional requests
+export const dataETag = (data) => `W/"${createHash("sha1").update(JSON.stringify(data)).digest("base64url")}"`;
@@ -0,0 +1,125 @@
+import { Contract, Interface } from "ethers";
+import IUniswapV3PoolABI from "../artifacts/IUniswapV3PoolAbi.json" assert { type: "json" };
+import IERC20MetadataABI from "../artifacts/IERC20MetadataAbi.json" assert { type: "json" };
+import { applyTick } from "./ohlc.js";
+import { sqrtPriceX96ToPrices, orientPrices } from "./pricing.js";
+import { currentCandleStarts, publishTick } from "./stream.js";
+import { sendToEndpoints } from "./rpc.js";
+import { recordFetchSuccess, recordFetchFailure } from "./health.js";
+import { screenTick, confirmPending } from "./validation.js";
+import { log } from "./logger.js";
+import { rpcQuorum, rpcQuorumTolerance } from "./config.js";
+
+const poolInterface = new Interface(IUniswapV3PoolABI.abi);
+
+// Read a token's ERC-20 metadata
+const fetchTokenMetadata = async (provider, address) => {
+  const token = new Contract(address, IERC20MetadataABI.abi, provider);
+  const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+  return { address, symbol, decimals: Number(decimals) };
+};
+
+// Read the pool's token pair once and cache it on the pool
+export const loadPoolTokens = async (provider, pool) => {
+  const poolContract = new Contract(pool.address, IUniswapV3PoolABI.abi, provider);
+  const [token0, token1] = await Promise.all([poolContract.token0(), poolContract.token1()]);
+
+  pool.tokens = {
+    token0: await fetchTokenMetadata(provider, token0),
+    token1: await fetchTokenMetadata(provider, token1)
+  };
+
+  log.info("Loaded tokens", { pool: pool.name, pair: `${pool.tokens.token0.symbol}/${pool.tokens.token1.symbol}` });
+  return pool.tokens;
+};
+
+// Compare BigInts for sorting
+const compareBigInt = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Read slot0's sqrtPriceX96. With a quorum configured it is read from that many endpoints,
+// rejected if their prices disagree beyond the tolerance, and the median is used.
+const readSqrtPrice = async (provider, pool) => {
+  if (rpcQuorum <= 1) {
+    const poolContract = new Contract(pool.address, IUniswapV3PoolABI.abi, provider);
+    const slot0 = await poolContract.slot0();
+    return slot0.sqrtPriceX96;
+  }
+
+  const call = { to: pool.address, data: poolInterface.encodeFunctionData("slot0") };
+  const results = await sendToEndpoints(provider, "eth_call", [call, "latest"], rpcQuorum);
+  const sqrtPrices = results
+    .map(data => poolInterface.decodeFunctionResult("slot0", data).sqrtPriceX96)
+    .sort(compareBigInt);
+
+  // Prices go with the square of sqrtPriceX96
+  const low = sqrtPrices[0] ** 2n;
+  const high = sqrtPrices[sqrtPrices.length - 1] ** 2n;
+  const deviation = low === 0n
+    ? (high === 0n ? 0 : Infinity)
+    : Number(((high - low) * 1000000n) / low) / 1000000;
+
+  if (deviation > rpcQuorumTolerance) {
+    throw new Error(`RPC endpoints disagree on the price of ${pool.name} by ${(deviation * 100).toFixed(2)}%, more than the ${rpcQuorumTolerance * 100}% tolerance`);
+  }
+
+  return sqrtPrices[Math.floor(sqrtPrices.length / 2)];
+};
+
+// Fetch the latest base-in-quote and quote-in-base prices from Uniswap pool
+export const fetchLatestPrice = async (provider, pool) => {
+  try {
+    // Token metadata is read at startup; retry here if that failed
+    if (!pool.tokens) await loadPoolTokens(provider, pool);
+
+    const sqrtPriceX96 = await readSqrtPrice(provider, pool);
+    const { token0, token1 } = pool.tokens;
+    const quote = orientPrices(pool, sqrtPriceX96ToPrices(sqrtPriceX96, token0.decimals, token1.decimals));
+    recordFetchSuccess(pool);
+    return quote;
+  } catch (error) {
+    recordFetchFailure(pool, error);
+    log.error("Error fetching price", { pool: pool.name, error });
+    return null;
+  }
+};
+
+// Log a tick to the store and apply it to a pool's history and candles. Both happen in the
+// same tick, so a snapshot always covers either both or neither.
+export const applyRecord = (pool, tick, exact) => {
+  pool.store.append({ tick, exact });
+
+  const previousStarts = currentCandleStarts(pool.priceData);
+  applyTick(pool.priceData, tick, exact);
+  publishTick(pool, tick, previousStarts);
+};
+
+// Record a price tick (a slot0 poll or a swap) into a pool's history and candles, once
+// tick validation lets it through
+export const recordPrice = (pool, quote, timestamp, details = null) => {
+  const price = Number(quote.price);
+
+  // Swaps carry their traded amounts, derived prices the path they were priced through
+  const tick = details ? { price, timestamp, ...details } : { price, timestamp };
+  const exact = { price: quote.price, inversePrice: quote.inversePrice };
+
+  for (const record of screenTick(pool, tick, exact)) {
+    applyRecord(pool, record.tick, record.exact);
+  }
+};
+
+// Apply the held ticks of a pool whose price has now held for enough blocks
+export const confirmPendingTicks = (pool) => {
+  for (const record of confirmPending(pool)) {
+    applyRecord(pool, record.tick, record.exact);
+  }
+};
+
+// Main price update function (slot0 polling mode)
+export const updatePrice = async (provider, pool) => {
+  const quote = await fetchLatestPrice(provider, pool);
+
+  if (quote !== null) {
+    recordPrice(pool, quote, Date.now());
+    log.debug("Updated price", { pool: pool.name, price: quote.price });
+  }
+};
@@ -0,0 +1,215 @@
+import fs from "fs-extra";
+import path from "path";
+import { intervals } from "./intervals.js";
+import { backfillHistoricalOHLC, realignOHLCData, applyTick } from "./ohlc.js";
+import { applyRetention } from "./retention.js";
+import { createStore } from "./storage.js";
+import { log } from "./logger.js";
+import { counter, histogram } from "./metrics.js";
+import { storageBackend, dataDir } from "./config.js";
+
+// Pool used when no registry file is present
+const fallbackRegistry = {
+  defaultPool: "0x104bab30b2983df47dd504114353B0A73bF663CE",
+  pools: [
+    {
+      address: "0x104bab30b2983df47dd504114353B0A73bF663CE",
+      name: "OKS",
+      dataFile: "./priceData.json"
+    }
+  ]
+};
+
+// Tracked pools keyed by lowercased address
+const pools = new Map();
+let defaultPoolAddress = null;
+
+// Create an empty price data store
+export const createPriceData = () => ({
+  latestPrice: null,
+  latestExact: null,
+  history: [],
+  lastUpdated: null,
+  ohlc: Object.fromEntries(Object.keys(intervals).map(interval => [interval, []]))
+});
+
+// Create the loader, ingestion and persistence status reported by the health endpoints
+export const createPoolStatus = () => ({
+  loaded: false,
+  loadError: null,
+  lastFetchAt: null, // Last successful slot0 read or Swap log poll
+  consecutiveFailures: 0,
+  lastError: null,
+  lastErrorAt: null,
+  latestBlock: null,
+  lastSavedAt: null,
+  lastSaveError: null,
+  lastSaveErrorAt: null
+});
+
+// Load the pool registry from the config file
+export const loadPoolRegistry = async (configPath) => {
+  let registry = fallbackRegistry;
+
+  if (await fs.pathExists(configPath)) {
+    registry = await fs.readJson(configPath);
+  } else {
+    log.warn("No pool registry, tracking the default pool only", { path: configPath });
+  }
+
+  if (!Array.isArray(registry.pools) || registry.pools.length === 0) {
+    throw new Error(`Pool registry ${configPath} must list at least one pool`);
+  }
+
+  pools.clear();
+
+  registry.pools.forEach(entry => {
+    if (!entry.address || !/^0x[0-9a-fA-F]{40}$/.test(entry.address)) {
+      throw new Error(`Invalid pool address in registry: ${entry.address}`);
+    }
+
+    if (entry.base && entry.base !== "token0" && entry.base !== "token1") {
+      throw new Error(`Invalid base for pool ${entry.address}: ${entry.base} (use "token0" or "token1")`);
+    }
+
+    const key = entry.address.toLowerCase();
+    if (pools.has(key)) {
+      throw new Error(`Duplicate pool address in registry: ${entry.address}`);
+    }
+
+    const pool = {
+      address: entry.address,
+      name: entry.name || entry.address,
+      dataFile: entry.dataFile || path.join(dataDir, `${key}.json`), // Legacy single-file format
+      dataDir: entry.dataDir || path.join(dataDir, key),
+      base: entry.base || "token0", // Which side of the pair prices are quoted for
+      tokens: null, // Filled from the chain at startup
+      lastBlock: null, // Last block scanned for Swap events
+      lastSwap: null, // { blockNumber, logIndex } of the last Swap event recorded
+      priceData: createPriceData(),
+      status: createPoolStatus()
+    };
+    pool.store = createStore(storageBackend, pool);
+
+    pools.set(key, pool);
+  });
+
+  defaultPoolAddress = (registry.defaultPool || registry.pools[0].address).toLowerCase();
+  if (!pools.has(defaultPoolAddress)) {
+    throw new Error(`Default pool ${registry.defaultPool} is not listed in the registry`);
+  }
+
+  return getPools();
+};
+
+// List all tracked pools
+export const getPools = () => Array.from(pools.values());
+
+// Look up a pool by address or name (case-insensitive)
+export const getPool = (addressOrName) => {
+  if (!addressOrName) return null;
+
+  const key = addressOrName.toLowerCase();
+  if (pools.has(key)) return pools.get(key);
+
+  return getPools().find(pool => pool.name.toLowerCase() === key) || null;
+};
+
+// Get the pool served by the legacy single-pool routes
+export const getDefaultPool = () => pools.get(defaultPoolAddress) || null;
+
+// Merge stored state into a pool's price data
+const restoreState = (priceData, state) => {
+  Object.assign(priceData, state);
+
+  // Ensure all OHLC intervals exist (for backward compatibility)
+  Object.keys(intervals).forEach(interval => {
+    if (!priceData.ohlc[interval]) priceData.ohlc[interval] = [];
+  });
+};
+
+// Legacy candles counted price polls in volume; no traded amounts are known for them
+const clearLegacyVolume = (candle) => ({ ...candle, volume: 0, quoteVolume: 0, trades: 0 });
+
+// Import a legacy priceData.json/data.json file into a pool's store
+export const importLegacyData = async (pool, filePath) => {
+  const state = await fs.readJson(filePath);
+
+  if (!state || !Array.isArray(state.history) || typeof state.ohlc !== "object") {
+    throw new Error(`${filePath} is not a price data file`);
+  }
+
+  const priceData = createPriceData();
+  restoreState(priceData, {
+    ...state,
+    ohlc: Object.fromEntries(Object.entries(state.ohlc).map(([interval, series]) => [interval, series.map(clearLegacyVolume)]))
+  });
+  await pool.store.snapshot(priceData);
+
+  log.info("Imported legacy data file", { pool: pool.name, file: filePath, store: pool.store.kind });
+};
+
+// Load a pool's price data from its store, importing the legacy data file on first run
+export const loadPoolData = async (pool) => {
+  try {
+    await readPoolData(pool);
+    pool.status.loaded = true;
+  } catch (error) {
+    pool.status.loadError = error.message;
+    throw error;
+  }
+};
+
+// Read a pool's snapshot and replay the ticks logged after it
+const readPoolData = async (pool) => {
+  const { priceData, store } = pool;
+
+  if (store.kind !== "json" && await store.isEmpty() && await fs.pathExists(pool.dataFile)) {
+    await importLegacyData(pool, pool.dataFile);
+  }
+
+  const { state, entries } = await store.load();
+  if (state) {
+    restoreState(priceData, state);
+    realignOHLCData(priceData);
+  }
+
+  // Replay ticks recorded after the last snapshot
+  entries.forEach(({ tick, exact }) => applyTick(priceData, tick, exact));
+  applyRetention(priceData);
+
+  // Backfill historical OHLC data from price history
+  backfillHistoricalOHLC(priceData);
+
+  log.info("Loaded price data", { pool: pool.name, replayedTicks: entries.length });
+};
+
+// Replace a pool's price data with a stored state, e.g. a restored snapshot, and save it.
+// The price data object is kept, since caches and subscribers are keyed by it.
+export const replacePoolData = async (pool, state) => {
+  const { priceData } = pool;
+  Object.keys(priceData).forEach(key => delete priceData[key]);
+  Object.assign(priceData, createPriceData());
+
+  restoreState(priceData, state);
+  realignOHLCData(priceData);
+  await savePoolData(pool);
+};
+
+const saveDuration = histogram("persistence_duration_seconds", "Time to snapshot a pool's price data to its store, by pool");
+const saveErrors = counter("persistence_errors_total", "Failed snapshots of a pool's price data, by pool");
+
+// Snapshot a pool's price data to its store
+export const savePoolData = async (pool) => {
+  const started = Date.now();
+  try {
+    await pool.store.snapshot(pool.priceData);
+    pool.status.lastSavedAt = Date.now();
+    saveDuration.observe({ pool: pool.name }, (Date.now() - started) / 1000);
+  } catch (error) {
+    pool.status.lastSaveError = error.message;
+    pool.status.lastSaveErrorAt = Date.now();
+    saveErrors.inc({ pool: pool.name });
+    log.error("Error saving price data", { pool: pool.name, error });
+  }
+};
@@ -0,0 +1,109 @@
+import { formatUnits, parseUnits } from "ethers";
+
+// Fractional digits kept in decimal price strings
+export const PRICE_DECIMALS = 18;
+
+const Q192 = 2n ** 192n;
+const PRICE_SCALE = 10n ** BigInt(PRICE_DECIMALS);
+
+// Trim trailing zeros from a decimal string ("1.500" -> "1.5", "2.0" -> "2")
+const trimDecimal = (value) => value.includes(".") ? value.replace(/\.?0+$/, "") : value;
+
+// Convert a pool's sqrtPriceX96 into decimal-adjusted prices for both directions.
+// token0Price is one token0 priced in token1, token1Price is one token1 priced in token0.
+export const sqrtPriceX96ToPrices = (sqrtPriceX96, decimals0, decimals1) => {
+  const sqrtPrice = BigInt(sqrtPriceX96);
+  if (sqrtPrice === 0n) {
+    throw new Error("Pool is not initialized (sqrtPriceX96 is 0)");
+  }
+
+  const ratioX192 = sqrtPrice * sqrtPrice;
+  const scale0 = 10n ** BigInt(decimals0);
+  const scale1 = 10n ** BigInt(decimals1);
+
+  // raw token1/token0 = sqrtPrice^2 / 2^192, adjusted by 10^(decimals0 - decimals1)
+  const token0Price = (ratioX192 * scale0 * PRICE_SCALE) / (Q192 * scale1);
+  const token1Price = (Q192 * scale1 * PRICE_SCALE) / (ratioX192 * scale0);
+
+  return {
+    token0Price: trimDecimal(formatUnits(token0Price, PRICE_DECIMALS)),
+    token1Price: trimDecimal(formatUnits(token1Price, PRICE_DECIMALS))
+  };
+};
+
+// Tick range of a Uniswap V3 pool
+export const MIN_TICK = -887272;
+export const MAX_TICK = 887272;
+
+// sqrt(1.0001^-2^i) as Q128.128 for each bit i of a tick, from Uniswap's TickMath
+const TICK_RATIOS = [
+  0xfffcb933bd6fad37aa2d162d1a594001n,
+  0xfff97272373d413259a46990580e213an,
+  0xfff2e50f5f656932ef12357cf3c7fdccn,
+  0xffe5caca7e10e4e61c3624eaa0941cd0n,
+  0xffcb9843d60f6159c9db58835c926644n,
+  0xff973b41fa98c081472e6896dfb254c0n,
+  0xff2ea16466c96a3843ec78b326b52861n,
+  0xfe5dee046a99a2a811c461f1969c3053n,
+  0xfcbe86c7900a88aedcffc83b479aa3a4n,
+  0xf987a7253ac413176f2b074cf7815e54n,
+  0xf3392b0822b70005940c7a398e4b70f3n,
+  0xe7159475a2c29b7443b29c7fa6e889d9n,
+  0xd097f3bdfd2022b8845ad8f792aa5825n,
+  0xa9f746462d870fdf8a65dc1f90e061e5n,
+  0x70d869a156d2a1b890bb3df62baf32f7n,
+  0x31be135f97d08fd981231505542fcfa6n,
+  0x9aa508b5b7a84e1c677de54f3e99bc9n,
+  0x5d6af8dedb81196699c329225ee604n,
+  0x2216e584f5fa1ea926041bedfe98n,
+  0x48a170391f7dc42444e8fa2n
+];
+const MAX_UINT256 = 2n ** 256n - 1n;
+
+// Convert a tick into the sqrtPriceX96 the pool would have at it (TickMath.getSqrtRatioAtTick)
+export const tickToSqrtPriceX96 = (tick) => {
+  if (!Number.isInteger(tick) || tick < MIN_TICK || tick > MAX_TICK) {
+    throw new Error(`Tick out of range: ${tick}`);
+  }
+
+  const absTick = Math.abs(tick);
+  let ratio = 2n ** 128n;
+
+  TICK_RATIOS.forEach((bitRatio, i) => {
+    if (absTick & (1 << i)) ratio = i === 0 ? bitRatio : (ratio * bitRatio) >> 128n;
+  });
+
+  if (tick > 0) ratio = MAX_UINT256 / ratio;
+
+  // Q128.128 to Q64.96, rounding up
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+};
+
+// Describe a pool's pair in base/quote terms
+export const describePair = (pool) => {
+  if (!pool.tokens) return { pair: null, base: null, quote: null };
+
+  const base = pool.tokens[pool.base];
+  const quote = pool.tokens[pool.base === "token0" ? "token1" : "token0"];
+
+  return {
+    pair: `${base.symbol}/${quote.symbol}`,
+    base,
+    quote
+  };
+};
+
+// Pick the base-in-quote and quote-in-base prices for a pool
+export const orientPrices = (pool, { token0Price, token1Price }) => (
+  pool.base === "token0"
+    ? { price: token0Price, inversePrice: token1Price }
+    : { price: token1Price, inversePrice: token0Price }
+);
+
+// Multiply decimal price strings, e.g. TOKEN/WBNB by WBNB/USDT for TOKEN/USDT, rounding
+// down to PRICE_DECIMALS fractional digits once at the end
+export const multiplyPrices = (prices) => {
+  const scaled = prices.map(price => parseUnits(price, PRICE_DECIMALS));
+  const product = scaled.reduce((result, price) => result * price, 1n) / PRICE_SCALE ** BigInt(prices.length - 1);
+  return trimDecimal(formatUnits(product, PRICE_DECIMALS));
+};
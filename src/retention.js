@@ -0,0 +1,115 @@
+import { intervals } from "./intervals.js";
+import { openCandle, updateCandle, combineCandles, findCandleIndex } from "./ohlc.js";
+import { bucketStart, defaultTimeZone } from "./calendar.js";
+import { invalidateCandleCache } from "./aggregate.js";
+import { parseDuration } from "./units.js";
+import { retentionPolicy } from "./config.js";
+
+// Resolve the durations of the retention policy, which the config has already checked
+const policy = Object.fromEntries(Object.entries(retentionPolicy).map(([series, { maxAge = null, rollupInto = null }]) => [
+  series,
+  { maxAge: maxAge === null ? null : parseDuration(maxAge), rollupInto }
+]));
+
+// Series without a rule are kept forever
+const ruleFor = (series) => policy[series] || { maxAge: null, rollupInto: null };
+
+// Fold raw ticks into one candle
+const ticksToCandle = (timestamp, ticks) => {
+  const candle = openCandle(timestamp, ticks[0]);
+  ticks.slice(1).forEach(tick => updateCandle(candle, tick));
+  return candle;
+};
+
+// Roll expired entries up into a coarser series. Only buckets the series does not already
+// have are filled, since an existing candle already saw the same ticks live.
+const rollUp = (series, expired, interval, toCandle) => {
+  const buckets = new Map();
+
+  expired.forEach(item => {
+    const bucket = bucketStart(interval, item.timestamp, defaultTimeZone);
+    if (!buckets.has(bucket)) buckets.set(bucket, []);
+    buckets.get(bucket).push(item);
+  });
+
+  let added = 0;
+  buckets.forEach((items, bucket) => {
+    const index = findCandleIndex(series, bucket);
+    if (series[index] && series[index].timestamp === bucket) return;
+
+    series.splice(index, 0, toCandle(bucket, items));
+    added += 1;
+  });
+
+  return added;
+};
+
+// Split a time-ordered series at the cutoff into expired and retained entries. With
+// nothing expired the series itself is returned as retained, since the candle and
+// indicator caches are keyed by the identity of the arrays.
+const splitExpired = (items, cutoff) => {
+  const index = items.findIndex(item => item.timestamp >= cutoff);
+  if (index === 0 || items.length === 0) return [[], items];
+  return index === -1 ? [items, []] : [items.slice(0, index), items.slice(index)];
+};
+
+// Apply the retention policy: drop expired raw ticks and candles, rolling them up first
+export const applyRetention = (priceData, now = Date.now()) => {
+  const stats = { removed: 0, rolledUp: 0 };
+
+  // Raw ticks first, then candles from the finest interval up, so rollups cascade
+  const raw = ruleFor("raw");
+  if (raw.maxAge !== null) {
+    const [expired, retained] = splitExpired(priceData.history, now - raw.maxAge);
+    if (expired.length > 0) {
+      if (raw.rollupInto) {
+        stats.rolledUp += rollUp(priceData.ohlc[raw.rollupInto], expired, raw.rollupInto, ticksToCandle);
+      }
+      priceData.history = retained;
+      stats.removed += expired.length;
+    }
+  }
+
+  Object.entries(intervals)
+    .sort(([, a], [, b]) => a - b)
+    .forEach(([interval]) => {
+      const rule = ruleFor(interval);
+      if (rule.maxAge === null) return;
+
+      const [expired, retained] = splitExpired(priceData.ohlc[interval], now - rule.maxAge);
+      if (expired.length === 0) return;
+
+      if (rule.rollupInto) {
+        stats.rolledUp += rollUp(priceData.ohlc[rule.rollupInto], expired, rule.rollupInto, combineCandles);
+      }
+      priceData.ohlc[interval] = retained;
+      stats.removed += expired.length;
+    });
+
+  if (stats.removed > 0 || stats.rolledUp > 0) invalidateCandleCache(priceData);
+
+  return stats;
+};
+
+// Describe how far back a series goes and what the policy keeps
+const describeSeries = (series, items, now) => {
+  const rule = ruleFor(series);
+  const configured = retentionPolicy[series] || {};
+
+  return {
+    count: items.length,
+    oldest: items.length > 0 ? items[0].timestamp : null,
+    newest: items.length > 0 ? items[items.length - 1].timestamp : null,
+    maxAge: configured.maxAge || null,
+    retainedSince: rule.maxAge === null ? null : now - rule.maxAge,
+    rollupInto: rule.rollupInto
+  };
+};
+
+// Report the actual coverage of raw history and every candle series
+export const getCoverage = (priceData, now = Date.now()) => ({
+  raw: describeSeries("raw", priceData.history, now),
+  intervals: Object.fromEntries(
+    Object.keys(intervals).map(interval => [interval, describeSeries(interval, priceData.ohlc[interval] || [], now)])
+  )
+});
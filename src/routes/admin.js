@@ -0,0 +1,277 @@
+import express from "express";
+import { getPool, getDefaultPool } from "../pools.js";
+import { getRoute } from "../routing.js";
+import { startBackfillJob, getBackfillJobs } from "../backfill.js";
+import { resolveIntervals, checkCandlePatch, deleteCandles, patchCandles, rebuildCandlesFromHistory } from "../corrections.js";
+import { takeSnapshot, listSnapshots, restoreSnapshot } from "../snapshots.js";
+import { recordAudit, getAuditLog, apiActor } from "../audit.js";
+import { checkAdmin } from "../access.js";
+
+const router = express.Router();
+
+// Require the admin bearer token, from an allowed address if the admin API is restricted
+// to some; the admin API is off when no token is configured
+export const requireAdmin = (req, res, next) => {
+  const problem = checkAdmin(req);
+  if (problem) {
+    return res.status(problem.status).json({
+      error: problem.error
+    });
+  }
+
+  next();
+};
+
+// Parse an optional block number parameter
+const parseBlock = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const block = Number(value);
+  return Number.isInteger(block) && block >= 0 ? block : NaN;
+};
+
+// Parse an optional timestamp in milliseconds or ISO-8601
+const parseTime = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  return /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+};
+
+// Find the pool or route named by a parameter, or the default pool if it is omitted
+const findPool = (name) => {
+  if (name === undefined || name === null || name === "") return getDefaultPool();
+  return getPool(String(name)) || getRoute(String(name));
+};
+
+// Resolve the pool named in the body's or query's pool parameter onto req.pool
+const resolvePool = (req, res, next) => {
+  const name = (req.body || {}).pool ?? req.query.pool;
+  const pool = findPool(name);
+
+  if (!pool) {
+    return res.status(404).json({
+      error: "Unknown pool",
+      provided: name
+    });
+  }
+
+  req.pool = pool;
+  next();
+};
+
+// Parse the interval and time range of a candle correction onto req.correction
+const parseCorrection = (req, res, next) => {
+  const body = req.body || {};
+
+  if (!body.interval || !resolveIntervals(String(body.interval))) {
+    return res.status(400).json({
+      error: "Invalid interval parameter",
+      provided: body.interval,
+      validIntervals: [...resolveIntervals("all"), "all"]
+    });
+  }
+
+  const range = { fromTime: parseTime(body.fromTime), toTime: parseTime(body.toTime) };
+  const invalid = Object.entries(range).find(([, value]) => value === null || Number.isNaN(value));
+  if (invalid) {
+    return res.status(400).json({
+      error: `Missing or invalid ${invalid[0]} parameter`,
+      provided: body[invalid[0]]
+    });
+  }
+
+  if (range.fromTime > range.toTime) {
+    return res.status(400).json({
+      error: "fromTime is after toTime",
+      provided: { fromTime: body.fromTime, toTime: body.toTime }
+    });
+  }
+
+  req.correction = { interval: String(body.interval), ...range, reason: body.reason || null };
+  next();
+};
+
+router.use(requireAdmin);
+
+// Start a historical backfill from on-chain Swap logs
+router.post("/backfill", resolvePool, async (req, res) => {
+  const body = req.body || {};
+  const { pool } = req;
+
+  if (!pool.address) {
+    return res.status(400).json({
+      error: "Not available for derived prices",
+      provided: body.pool
+    });
+  }
+
+  const range = {
+    fromBlock: parseBlock(body.fromBlock),
+    toBlock: parseBlock(body.toBlock),
+    fromTime: parseTime(body.fromTime),
+    toTime: parseTime(body.toTime)
+  };
+
+  const invalid = Object.entries(range).find(([, value]) => Number.isNaN(value));
+  if (invalid) {
+    return res.status(400).json({
+      error: `Invalid ${invalid[0]} parameter`,
+      provided: body[invalid[0]]
+    });
+  }
+
+  if (range.fromBlock === null && range.fromTime === null) {
+    return res.status(400).json({
+      error: "Missing required parameter: fromBlock or fromTime"
+    });
+  }
+
+  let job;
+  try {
+    job = startBackfillJob(req.app.locals.provider, pool, range);
+  } catch (error) {
+    return res.status(409).json({
+      error: error.message
+    });
+  }
+
+  await recordAudit(apiActor(req), "backfill", pool, { ...range, reason: body.reason || null });
+  res.status(202).json(job);
+});
+
+// List backfill jobs and their progress
+router.get("/backfill", (req, res) => {
+  res.json({
+    jobs: getBackfillJobs()
+  });
+});
+
+// Delete the candles of an interval (or "all") starting between fromTime and toTime
+router.delete("/candles", resolvePool, parseCorrection, async (req, res) => {
+  res.json(await deleteCandles(req.pool, apiActor(req), req.correction));
+});
+
+// Overwrite fields of the candles of one interval starting between fromTime and toTime,
+// e.g. { "interval": "5m", "fromTime": ..., "toTime": ..., "set": { "high": 1.23 } }
+router.patch("/candles", resolvePool, parseCorrection, async (req, res) => {
+  const { set } = req.body;
+
+  if (req.correction.interval === "all") {
+    return res.status(400).json({
+      error: "Candles can only be patched one interval at a time",
+      provided: req.correction.interval
+    });
+  }
+
+  const problem = checkCandlePatch(set);
+  if (problem) {
+    return res.status(400).json({
+      error: problem,
+      provided: set
+    });
+  }
+
+  const entry = await patchCandles(req.pool, apiActor(req), { ...req.correction, set });
+  if (entry.error) return res.status(409).json(entry);
+
+  res.json(entry);
+});
+
+// Force a rebuild of the candles of an interval (or "all") between fromTime and toTime,
+// from raw history ("source": "history", the default) or on-chain Swap logs ("chain",
+// run as a backfill job)
+router.post("/candles/rebuild", resolvePool, parseCorrection, async (req, res) => {
+  const source = req.body.source || "history";
+  const { pool, correction } = req;
+
+  if (source === "history") {
+    const entry = await rebuildCandlesFromHistory(pool, apiActor(req), correction);
+    if (entry.error) return res.status(409).json(entry);
+    return res.json(entry);
+  }
+
+  if (source !== "chain") {
+    return res.status(400).json({
+      error: "Invalid source parameter",
+      provided: source,
+      validSources: ["history", "chain"]
+    });
+  }
+
+  if (!pool.address) {
+    return res.status(400).json({
+      error: "Not available for derived prices",
+      provided: req.body.pool
+    });
+  }
+
+  const { interval, fromTime, toTime } = correction;
+  let job;
+  try {
+    job = startBackfillJob(req.app.locals.provider, pool, {
+      fromTime,
+      toTime,
+      intervals: resolveIntervals(interval),
+      rebuild: true
+    });
+  } catch (error) {
+    return res.status(409).json({
+      error: error.message
+    });
+  }
+
+  await recordAudit(apiActor(req), "rebuild_candles", pool, { ...correction, source });
+  res.status(202).json(job);
+});
+
+// List a pool's snapshots, newest first
+router.get("/snapshots", resolvePool, async (req, res) => {
+  res.json({
+    pool: req.pool.address,
+    name: req.pool.name,
+    snapshots: await listSnapshots(req.pool)
+  });
+});
+
+// Snapshot a pool's price data, with an optional label
+router.post("/snapshots", resolvePool, async (req, res) => {
+  const { label } = req.body || {};
+  res.status(201).json(await takeSnapshot(req.pool, apiActor(req), label ? String(label) : null));
+});
+
+// Restore a pool's price data from a snapshot
+router.post("/snapshots/:id/restore", resolvePool, async (req, res) => {
+  const { reason = null } = req.body || {};
+  const result = await restoreSnapshot(req.pool, apiActor(req), req.params.id, reason);
+  if (!result) {
+    return res.status(404).json({
+      error: "Unknown snapshot",
+      provided: req.params.id
+    });
+  }
+
+  res.json(result);
+});
+
+// Audit log of manual changes, newest first: ?pool=<address or name>&action=&limit=
+router.get("/audit", async (req, res) => {
+  const pool = req.query.pool ? findPool(req.query.pool) : null;
+  if (req.query.pool && !pool) {
+    return res.status(400).json({
+      error: "Unknown pool",
+      provided: req.query.pool
+    });
+  }
+
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return res.status(400).json({
+      error: "Invalid limit parameter",
+      provided: req.query.limit
+    });
+  }
+
+  res.json({
+    entries: await getAuditLog({ pool, action: req.query.action || null, limit })
+  });
+});
+
+export default router;
@@ -0,0 +1,106 @@
+import express from "express";
+import {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  testRule,
+  getDeliveries,
+  publicRule,
+  ruleTypes,
+  keyOwner,
+  ownsRule
+} from "../alerts.js";
+
+const router = express.Router();
+
+// Alert rules are managed with an API key, which sees and changes only the rules it
+// created, or with the admin token, which manages every rule
+router.use((req, res, next) => {
+  if (req.apiClient.type !== "admin" && req.apiClient.type !== "key") {
+    return res.status(401).json({
+      error: "An API key is required to manage alert rules: send it in the X-API-Key header"
+    });
+  }
+  next();
+});
+
+const isAdmin = (req) => req.apiClient.type === "admin";
+
+// The API key hash whose rules a request may see, or null for the admin
+const ruleScope = (req) => isAdmin(req) ? null : req.apiClient.hash;
+
+// Resolve the rule named in the :id route parameter. Another key's rule is reported as
+// unknown, so rule ids cannot be probed.
+const resolveRule = (req, res, next) => {
+  const rule = getRule(req.params.id);
+  if (!rule || !(isAdmin(req) || ownsRule(rule, req.apiClient.hash))) {
+    return res.status(404).json({
+      error: "Unknown alert rule",
+      provided: req.params.id
+    });
+  }
+
+  req.rule = rule;
+  next();
+};
+
+// List alert rules
+router.get("/", (req, res) => {
+  res.json({
+    types: ruleTypes,
+    rules: listRules(ruleScope(req)).map(rule => publicRule(rule))
+  });
+});
+
+// Create a rule; the response is the only one that includes the webhook secret
+router.post("/", async (req, res) => {
+  const rule = await createRule(req.body || {}, isAdmin(req) ? null : keyOwner(req.apiClient));
+  if (rule.error) return res.status(400).json(rule);
+
+  res.status(201).json(publicRule(rule, true));
+});
+
+// Webhook delivery log, newest first: ?rule=<id>&status=pending|delivered|failed&limit=
+router.get("/deliveries", (req, res) => {
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return res.status(400).json({
+      error: "Invalid limit parameter",
+      provided: req.query.limit
+    });
+  }
+
+  // An API key only sees the deliveries of its own rules
+  const scope = ruleScope(req);
+  const ruleIds = scope ? listRules(scope).map(rule => rule.id) : null;
+
+  res.json({
+    deliveries: getDeliveries({ ruleId: req.query.rule || null, ruleIds, status: req.query.status || null, limit })
+  });
+});
+
+router.get("/:id", resolveRule, (req, res) => {
+  res.json(publicRule(req.rule));
+});
+
+// Update a rule: any of name, pool, type, condition, webhook, cooldown and enabled
+router.patch("/:id", resolveRule, async (req, res) => {
+  const rule = await updateRule(req.rule.id, req.body || {});
+  if (rule.error) return res.status(400).json(rule);
+
+  res.json(publicRule(rule));
+});
+
+router.delete("/:id", resolveRule, async (req, res) => {
+  await deleteRule(req.rule.id);
+  res.status(204).end();
+});
+
+// Send a test event to the rule's webhook
+router.post("/:id/test", resolveRule, (req, res) => {
+  res.status(202).json(testRule(req.rule));
+});
+
+export default router;
@@ -0,0 +1,94 @@
+import express from "express";
+import { describePair } from "../pricing.js";
+import { getDepthState, describeDepth, getDepthHistory } from "../depth.js";
+import { log } from "../logger.js";
+import { depthRange, depthImpactSizes } from "../config.js";
+
+const router = express.Router({ mergeParams: true });
+
+const maxSizes = 20;
+
+// Ranges, in percent, a requested range is rounded up to. Every range is its own scan of
+// the pool's ticks, with up to hundreds of calls, so only these few are read and cached.
+const rangeSteps = [1, 2, 5, 10, 20, 50, 100];
+const maxRangePercent = rangeSteps[rangeSteps.length - 1];
+
+const parseTimestamp = (value) => value ? parseInt(value) : null;
+
+// Trade sizes in the quote token, e.g. ?sizes=10,100,1000
+const parseSizes = (value) => {
+  if (value === undefined) return depthImpactSizes;
+  const sizes = String(value).split(",").map(Number);
+  return sizes.length <= maxSizes && sizes.every(size => Number.isFinite(size) && size > 0) ? sizes : null;
+};
+
+// Liquidity around the current price: ?range=<percent> how far from the price ticks are
+// read (20 by default, rounded up to one of rangeSteps), ?sizes= trade sizes in the quote
+// token to estimate price impact for
+router.get("/", async (req, res) => {
+  const requested = req.query.range === undefined ? null : Number(req.query.range);
+  if (requested !== null && (!Number.isFinite(requested) || requested <= 0 || requested > maxRangePercent)) {
+    return res.status(400).json({
+      error: `Invalid range parameter. Use a percentage above 0 and up to ${maxRangePercent}.`,
+      provided: req.query.range
+    });
+  }
+  const range = requested === null ? depthRange : rangeSteps.find(step => step >= requested) / 100;
+
+  const sizes = parseSizes(req.query.sizes);
+  if (!sizes) {
+    return res.status(400).json({
+      error: `Invalid sizes parameter. Use up to ${maxSizes} comma-separated positive amounts of the quote token.`,
+      provided: req.query.sizes
+    });
+  }
+
+  try {
+    const state = await getDepthState(req.app.locals.provider, req.pool, range);
+    const depth = describeDepth(req.pool, state, sizes);
+    res.json({
+      pool: req.pool.address,
+      pair: describePair(req.pool).pair,
+      ...depth,
+      range: { percent: Number((range * 100).toFixed(2)), ...depth.range }
+    });
+  } catch (error) {
+    log.error("Error reading depth", { pool: req.pool.name, error });
+    res.status(502).json({
+      error: "Failed to read the pool's liquidity",
+      details: error.shortMessage || error.message
+    });
+  }
+});
+
+// Stored depth snapshots for charting: ?from=&to= (Unix milliseconds), ?limit= newest n
+router.get("/history", (req, res) => {
+  const fromTimestamp = parseTimestamp(req.query.from);
+  const toTimestamp = parseTimestamp(req.query.to);
+
+  for (const [name, value] of [["from", fromTimestamp], ["to", toTimestamp]]) {
+    if (Number.isNaN(value)) {
+      return res.status(400).json({
+        error: `Invalid ${name} parameter. Must be a valid Unix timestamp in milliseconds.`
+      });
+    }
+  }
+
+  const limit = req.query.limit === undefined ? null : Number(req.query.limit);
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+    return res.status(400).json({
+      error: "Invalid limit parameter",
+      provided: req.query.limit
+    });
+  }
+
+  const snapshots = getDepthHistory(req.pool, { fromTimestamp, toTimestamp, limit });
+  res.json({
+    pool: req.pool.address,
+    pair: describePair(req.pool).pair,
+    count: snapshots.length,
+    snapshots
+  });
+});
+
+export default router;
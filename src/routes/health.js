@@ -0,0 +1,24 @@
+import express from "express";
+import { getHealthReport } from "../health.js";
+import { renderMetrics } from "../metrics.js";
+
+const router = express.Router();
+
+// Liveness: the process is up and startup has not failed
+router.get("/healthz", (req, res) => {
+  const report = getHealthReport(req.app.locals.provider);
+  res.status(report.status === "failed" ? 503 : 200).json(report);
+});
+
+// Readiness: every pool is loaded, ingestion is running and no price is stale
+router.get("/readyz", (req, res) => {
+  const report = getHealthReport(req.app.locals.provider);
+  res.status(report.ready ? 200 : 503).json(report);
+});
+
+// Metrics in the Prometheus text format
+router.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+export default router;
@@ -0,0 +1,74 @@
+import express from "express";
+import { describePair } from "../pricing.js";
+import { parseResolution } from "../units.js";
+import { indicators, parseIndicatorParams, describeParams, getIndicator } from "../indicators.js";
+import { findCandleIndex } from "../ohlc.js";
+import { validateCandleQuery } from "./price.js";
+
+const router = express.Router({ mergeParams: true });
+
+const validIndicators = Object.keys(indicators);
+
+// Resolve the indicator named in the path and its parameters
+const validateIndicator = (req, res, next) => {
+  const indicator = indicators[req.params.name];
+  if (!indicator) {
+    return res.status(404).json({
+      error: "Unknown indicator",
+      provided: req.params.name,
+      validIndicators
+    });
+  }
+
+  const params = parseIndicatorParams(indicator, req.query);
+  if (params.error) return res.status(400).json(params);
+
+  req.indicator = { name: req.params.name, indicator, params };
+  next();
+};
+
+// List the indicators and their parameters
+router.get("/", (req, res) => {
+  res.json({
+    indicators: Object.fromEntries(Object.entries(indicators).map(([name, { outputs, params }]) => [name, { outputs, params }]))
+  });
+});
+
+// An indicator over the candles of any resolution, e.g. /rsi?interval=1h&period=14&from=&to=.
+// Points are computed over the whole series, so the range starts warmed up wherever
+// earlier candles exist; points still in the warm-up are null.
+router.get("/:name", validateIndicator, validateCandleQuery({
+  param: "interval",
+  parse: parseResolution,
+  help: { examples: ["5m", "1h", "4h", "1d"] },
+  range: ["from", "to"]
+}), (req, res) => {
+  const { priceData } = req.pool;
+  const { name, indicator, params } = req.indicator;
+  const { interval: resolution, tz, fromTimestamp, toTimestamp } = req.candleQuery;
+  const { candles, points } = getIndicator(priceData, name, params, resolution, tz);
+
+  const start = fromTimestamp ? findCandleIndex(candles, fromTimestamp) : 0;
+  const end = toTimestamp ? findCandleIndex(candles, toTimestamp + 1) : candles.length;
+  const warmingUp = Object.fromEntries(indicator.outputs.map(output => [output, null]));
+  const values = [];
+  for (let i = start; i < end; i++) {
+    values.push({ timestamp: candles[i].timestamp, ...(points[i] || warmingUp) });
+  }
+
+  res.json({
+    indicator: name,
+    params: describeParams(params),
+    warmup: indicator.warmup(params),
+    interval: resolution.name,
+    pair: describePair(req.pool).pair,
+    tz: tz.name,
+    from: fromTimestamp,
+    to: toTimestamp,
+    count: values.length,
+    values,
+    lastUpdated: priceData.lastUpdated
+  });
+});
+
+export default router;
@@ -0,0 +1,56 @@
+import express from "express";
+import { getPools, getPool, getDefaultPool } from "../pools.js";
+import { describePair } from "../pricing.js";
+import { getFreshness } from "../health.js";
+import priceRouter from "./price.js";
+import indicatorsRouter from "./indicators.js";
+import depthRouter from "./depth.js";
+
+const router = express.Router();
+
+// Resolve the pool named in the :address route parameter
+export const resolvePool = (req, res, next) => {
+  const pool = getPool(req.params.address);
+
+  if (!pool) {
+    return res.status(404).json({
+      error: "Unknown pool",
+      provided: req.params.address,
+      validPools: getPools().map(({ address, name }) => ({ address, name }))
+    });
+  }
+
+  req.pool = pool;
+  next();
+};
+
+// Resolve the default pool for the legacy single-pool routes
+export const useDefaultPool = (req, res, next) => {
+  req.pool = getDefaultPool();
+  next();
+};
+
+// List tracked pools
+router.get("/", (req, res) => {
+  const defaultPool = getDefaultPool();
+
+  res.json({
+    defaultPool: defaultPool.address,
+    pools: getPools().map(pool => ({
+      address: pool.address,
+      name: pool.name,
+      pair: describePair(pool).pair,
+      latest: pool.priceData.latestPrice,
+      lastUpdated: pool.priceData.lastUpdated,
+      ...getFreshness(pool)
+    }))
+  });
+});
+
+// Pool-scoped price routes, e.g. /api/pools/:address/price and /api/pools/:address/ohlc/:interval
+router.use("/:address/indicators", resolvePool, indicatorsRouter);
+router.use("/:address/depth", resolvePool, depthRouter);
+router.use("/:address/price", resolvePool, priceRouter);
+router.use("/:address", resolvePool, priceRouter);
+
+export default router;
@@ -0,0 +1,579 @@
+import express from "express";
+import { describePair } from "../pricing.js";
+import { getIntervalPrices, mapInterval, filterOHLCByTimeRange } from "../ohlc.js";
+import { intervals, intervalResolutions } from "../intervals.js";
+import { defaultTimeZone } from "../calendar.js";
+import { getCandles } from "../aggregate.js";
+import { getCoverage } from "../retention.js";
+import { parseDuration, parseResolution, resolveTimeZone } from "../units.js";
+import { getOracleState, getTwap, isWindowTooLongError, MAX_TWAP_WINDOW } from "../oracle.js";
+import { getFreshness } from "../health.js";
+import { gapModes, maxGapCandles, findGaps, fillGaps } from "../gaps.js";
+import { parsePaging, pageCandles, dataETag } from "../paging.js";
+import { exportFormats, candleColumns, tickColumns, exportRows, exportFileName } from "../export.js";
+import { staleAfter, strictMode } from "../config.js";
+import { streamPrices } from "./stream.js";
+import { describeRoute } from "../routing.js";
+import { log } from "../logger.js";
+
+// Price routes, served for whichever pool was resolved onto req.pool
+const router = express.Router({ mergeParams: true });
+
+// Resolve the tz query parameter, defaulting to the timezone candles are stored in
+const parseTimeZone = (value) => value ? resolveTimeZone(value) : defaultTimeZone;
+
+const validIntervals = Object.keys(intervals);
+
+// Parse an optional timestamp parameter in milliseconds; NaN if it is not one
+const parseTimestamp = (value) => value ? parseInt(value) : null;
+
+// Validate the parameters shared by the candle endpoints: the interval or resolution (from
+// the query string or the path), tz, the time range and how to handle empty buckets. Responds
+// 400 on the first invalid one, otherwise leaves { interval, tz, fromTimestamp, toTimestamp,
+// gaps } on req.candleQuery.
+export const validateCandleQuery = ({ param, inPath = false, parse, help, range = ["from_timestamp", "to_timestamp"] }) => (req, res, next) => {
+  const provided = inPath ? req.params[param] : req.query[param];
+
+  if (!provided) {
+    return res.status(400).json({
+      error: `Missing required parameter: ${param}`,
+      ...help
+    });
+  }
+
+  const interval = parse(provided);
+  if (!interval) {
+    return res.status(400).json({
+      error: `Invalid ${param} parameter`,
+      provided,
+      ...help
+    });
+  }
+
+  let tz;
+  try {
+    tz = parseTimeZone(req.query.tz);
+  } catch (error) {
+    return res.status(400).json({
+      error: error.message,
+      provided: req.query.tz
+    });
+  }
+
+  const [fromParam, toParam] = range;
+  const fromTimestamp = parseTimestamp(req.query[fromParam]);
+  const toTimestamp = parseTimestamp(req.query[toParam]);
+
+  for (const [name, value] of [[fromParam, fromTimestamp], [toParam, toTimestamp]]) {
+    if (Number.isNaN(value)) {
+      return res.status(400).json({
+        error: `Invalid ${name} parameter. Must be a valid Unix timestamp in milliseconds.`
+      });
+    }
+  }
+
+  if (fromTimestamp && toTimestamp && fromTimestamp > toTimestamp) {
+    return res.status(400).json({
+      error: `${fromParam} cannot be greater than ${toParam}`
+    });
+  }
+
+  const gaps = req.query.gaps || null;
+  if (gaps && !gapModes.includes(gaps)) {
+    return res.status(400).json({
+      error: "Invalid gaps parameter",
+      provided: gaps,
+      validGapModes: gapModes
+    });
+  }
+
+  req.candleQuery = { interval, tz, fromTimestamp, toTimestamp, gaps };
+  next();
+};
+
+// One of the stored intervals, as in ?interval=1h or /ohlc/1h
+const validateIntervalQuery = (inPath = false) => validateCandleQuery({
+  param: "interval",
+  inPath,
+  parse: mapInterval,
+  help: { validIntervals }
+});
+
+// Candles in the requested time range, with empty buckets filled or marked if asked to.
+// Null when there are too many empty buckets to fill.
+const rangeCandles = (req, ohlc, resolution) => {
+  const { tz, fromTimestamp, toTimestamp, gaps } = req.candleQuery;
+
+  if (!gaps) return filterOHLCByTimeRange(ohlc, fromTimestamp, toTimestamp);
+  return fillGaps(ohlc, resolution, tz, gaps, { from: fromTimestamp, to: toTimestamp });
+};
+
+// Candles of a stored interval in the requested timezone and time range
+const intervalCandles = (req) => {
+  const { interval, tz } = req.candleQuery;
+  const resolution = intervalResolutions[interval];
+  const { ohlc } = getCandles(req.pool.priceData, resolution, tz);
+  return rangeCandles(req, ohlc, resolution);
+};
+
+const tooManyGaps = (res) => res.status(400).json({
+  error: `Too many empty buckets to fill (more than ${maxGapCandles}). Narrow the time range.`
+});
+
+// Validate limit, before, after, order, fields and format into req.paging
+const validatePaging = (req, res, next) => {
+  const paging = parsePaging(req.query);
+  if (paging.error) return res.status(400).json(paging);
+
+  req.paging = paging;
+  next();
+};
+
+// Send a candle response with an ETag of everything but lastUpdated, which moves with
+// every tick, so a client polling with If-None-Match gets a 304 while its page is unchanged
+const sendCandles = (res, body) => {
+  const { lastUpdated, ...content } = body;
+  res.set("ETag", dataETag(content));
+  res.json(body);
+};
+
+// Response body for the candles of a stored interval
+const intervalResponse = (req, filteredData) => ({
+  interval: req.candleQuery.interval,
+  pair: describePair(req.pool).pair,
+  tz: req.candleQuery.tz.name,
+  from_timestamp: req.candleQuery.fromTimestamp,
+  to_timestamp: req.candleQuery.toTimestamp,
+  format: req.paging.format,
+  ...pageCandles(filteredData, req.paging),
+  lastUpdated: req.pool.priceData.lastUpdated
+});
+
+// Latest price with the pair it is quoted in
+const latestPriceResponse = (pool) => {
+  const { priceData } = pool;
+  const { pair, base, quote } = describePair(pool);
+  const { age, stale } = getFreshness(pool);
+
+  return {
+    latest: priceData.latestPrice,
+    lastUpdated: priceData.lastUpdated,
+    age,
+    stale,
+    pair,
+    base,
+    quote,
+    price: priceData.latestExact ? priceData.latestExact.price : null,
+    inversePrice: priceData.latestExact ? priceData.latestExact.inversePrice : null,
+    // Derived prices name the path that priced them and the state of each leg
+    ...(pool.paths ? describeRoute(pool) : {})
+  };
+};
+
+// In strict mode, refuse to serve a stale latest price
+const rejectStale = (req, res, next) => {
+  if (!strictMode) return next();
+
+  const { age, stale } = getFreshness(req.pool);
+  if (stale) {
+    return res.status(503).json({
+      error: "Price is stale",
+      age,
+      staleAfter: staleAfter / 1000,
+      lastUpdated: req.pool.priceData.lastUpdated
+    });
+  }
+  next();
+};
+
+router.get("/", rejectStale, (req, res) => {
+  res.json(latestPriceResponse(req.pool));
+});
+
+router.get("/latest", rejectStale, (req, res) => {
+  res.json(latestPriceResponse(req.pool));
+});
+
+// New time-based query endpoint
+router.get("/query", validateIntervalQuery(), validatePaging, (req, res) => {
+  const filteredData = intervalCandles(req);
+  if (!filteredData) return tooManyGaps(res);
+  sendCandles(res, intervalResponse(req, filteredData));
+});
+
+// OHLC endpoint with query parameters for interval and time filtering
+router.get("/ohlc", validateIntervalQuery(), validatePaging, (req, res) => {
+  const filteredData = intervalCandles(req);
+  if (!filteredData) return tooManyGaps(res);
+  sendCandles(res, intervalResponse(req, filteredData));
+});
+
+// Add a dedicated endpoint to get all OHLC data
+router.get("/ohlc/all", validatePaging, (req, res) => {
+  const { priceData } = req.pool;
+  const ohlc = {};
+  const pages = {};
+
+  validIntervals.forEach(interval => {
+    const { count, ohlc: candles, page } = pageCandles(priceData.ohlc[interval], req.paging);
+    ohlc[interval] = candles;
+    pages[interval] = { count, ...page };
+  });
+
+  sendCandles(res, {
+    pair: describePair(req.pool).pair,
+    format: req.paging.format,
+    ohlc,
+    pages,
+    lastUpdated: priceData.lastUpdated
+  });
+});
+
+// Enhanced OHLC endpoint with optional time filtering
+router.get("/ohlc/:interval", validateIntervalQuery(true), validatePaging, (req, res) => {
+  const filteredData = intervalCandles(req);
+  if (!filteredData) return tooManyGaps(res);
+
+  if (filteredData.length > 0) {
+    sendCandles(res, intervalResponse(req, filteredData));
+  } else {
+    res.status(404).json({
+      error: "No data available for the specified interval and time range",
+      interval: req.candleQuery.interval,
+      pair: describePair(req.pool).pair,
+      tz: req.candleQuery.tz.name,
+      from_timestamp: req.candleQuery.fromTimestamp,
+      to_timestamp: req.candleQuery.toTimestamp
+    });
+  }
+});
+
+// Candles at any resolution that is a multiple of a stored one, e.g. ?resolution=4h&from=&to=
+router.get("/candles", validateCandleQuery({
+  param: "resolution",
+  parse: parseResolution,
+  help: { examples: ["1m", "2h", "4h", "3d", "2w", "3M"] },
+  range: ["from", "to"]
+}), validatePaging, (req, res) => {
+  const { priceData } = req.pool;
+  const { interval: resolution, tz, fromTimestamp, toTimestamp } = req.candleQuery;
+  const { ohlc, source } = getCandles(priceData, resolution, tz);
+  const filteredData = rangeCandles(req, ohlc, resolution);
+  if (!filteredData) return tooManyGaps(res);
+
+  sendCandles(res, {
+    resolution: resolution.name,
+    pair: describePair(req.pool).pair,
+    tz: tz.name,
+    source,
+    from: fromTimestamp,
+    to: toTimestamp,
+    format: req.paging.format,
+    ...pageCandles(filteredData, req.paging),
+    lastUpdated: priceData.lastUpdated
+  });
+});
+// Live ticks and candle updates as Server-Sent Events, resumable with ?since=<event id>
+router.get("/stream", streamPrices);
+
+// Download candles at any resolution, or raw ticks with interval=raw, as CSV, NDJSON or
+// Parquet, e.g. ?interval=1h&format=parquet&from=&to=
+router.get("/export", validateCandleQuery({
+  param: "interval",
+  parse: value => value === "raw" ? "raw" : parseResolution(value),
+  help: { examples: ["raw", "5m", "1h", "4h", "1d"] },
+  range: ["from", "to"]
+}), async (req, res) => {
+  const { priceData } = req.pool;
+  const { interval, tz, fromTimestamp, toTimestamp } = req.candleQuery;
+  const format = req.query.format || "csv";
+
+  if (!exportFormats[format]) {
+    return res.status(400).json({
+      error: "Invalid format parameter",
+      provided: format,
+      validFormats: Object.keys(exportFormats)
+    });
+  }
+
+  // Filtering copies the range up front, so ticks recorded or expired while it streams
+  // don't shift it
+  let rows;
+  if (interval === "raw") {
+    rows = filterOHLCByTimeRange(priceData.history, fromTimestamp, toTimestamp);
+  } else {
+    rows = rangeCandles(req, getCandles(priceData, interval, tz).ohlc, interval);
+    if (!rows) return tooManyGaps(res);
+  }
+
+  const series = interval === "raw" ? "raw" : interval.name;
+  res.attachment(exportFileName(req.pool, series, format, fromTimestamp, toTimestamp));
+  res.type(exportFormats[format].contentType);
+
+  try {
+    await exportRows(res, format, interval === "raw" ? tickColumns : candleColumns, rows);
+  } catch (error) {
+    log.error("Error exporting data", { pool: req.pool.name, series, error });
+    res.destroy(error);
+  }
+});
+
+// Parse a TWAP window such as "30m" or "1h", or a number of seconds; NaN if invalid
+const parseWindow = (value) => {
+  if (/^\d+$/.test(String(value))) return Number(value);
+  try {
+    return parseDuration(value) / 1000;
+  } catch (error) {
+    return NaN;
+  }
+};
+
+// Error body for a window the pool's observations do not reach back far enough for
+const windowTooLong = (provided, windowSeconds, state) => ({
+  error: "Requested window is longer than the pool's stored observations",
+  provided,
+  window: windowSeconds,
+  maxWindow: state.maxWindow,
+  observationCardinality: state.observationCardinality,
+  observationCardinalityNext: state.observationCardinalityNext,
+  hint: "Call increaseObservationCardinalityNext() on the pool to store a longer history"
+});
+
+// The oracle belongs to a pool contract, which derived prices do not have
+const requirePoolContract = (req, res, next) => {
+  if (!req.pool.address) {
+    return res.status(400).json({
+      error: "Not available for derived prices",
+      provided: req.pool.name
+    });
+  }
+  next();
+};
+
+// Error body for a failed oracle read
+const oracleError = (pool, error) => {
+  log.error("Error reading the oracle", { pool: pool.name, error });
+  return {
+    error: "Failed to read the pool's oracle",
+    details: error.shortMessage || error.message
+  };
+};
+
+// Time-weighted average price from the pool's observe() accumulator, e.g. ?window=30m.
+// Unlike the spot price it cannot be moved by a single swap.
+router.get("/twap", requirePoolContract, async (req, res) => {
+  const { provider } = req.app.locals;
+  const provided = req.query.window || "30m";
+  const windowSeconds = parseWindow(provided);
+
+  if (!Number.isInteger(windowSeconds) || windowSeconds < 1 || windowSeconds > MAX_TWAP_WINDOW) {
+    return res.status(400).json({
+      error: "Invalid window parameter. Use a duration such as 90s, 30m or 24h, or a number of seconds.",
+      provided
+    });
+  }
+
+  let state;
+  try {
+    state = await getOracleState(provider, req.pool);
+  } catch (error) {
+    return res.status(502).json(oracleError(req.pool, error));
+  }
+
+  if (windowSeconds > state.maxWindow) {
+    return res.status(400).json(windowTooLong(provided, windowSeconds, state));
+  }
+
+  try {
+    const twap = await getTwap(provider, req.pool, windowSeconds);
+
+    res.json({
+      pair: describePair(req.pool).pair,
+      ...twap,
+      from: state.blockTimestamp - windowSeconds * 1000,
+      to: state.blockTimestamp
+    });
+  } catch (error) {
+    // The oldest observation can be overwritten between the two reads
+    if (isWindowTooLongError(error)) {
+      return res.status(400).json(windowTooLong(provided, windowSeconds, state));
+    }
+    res.status(502).json(oracleError(req.pool, error));
+  }
+});
+
+// The pool's oracle: observation cardinality and the longest TWAP window it can serve
+router.get("/oracle", requirePoolContract, async (req, res) => {
+  try {
+    const state = await getOracleState(req.app.locals.provider, req.pool);
+    res.json({
+      pair: describePair(req.pool).pair,
+      ...state
+    });
+  } catch (error) {
+    res.status(502).json(oracleError(req.pool, error));
+  }
+});
+
+// Time ranges with no candles in each stored series, e.g. while ingestion was down.
+// ?interval limits the report to one series.
+router.get("/gaps", (req, res) => {
+  const { priceData } = req.pool;
+  let reported = validIntervals;
+
+  if (req.query.interval) {
+    const interval = mapInterval(req.query.interval);
+    if (!interval) {
+      return res.status(400).json({
+        error: "Invalid interval parameter",
+        provided: req.query.interval,
+        validIntervals
+      });
+    }
+    reported = [interval];
+  }
+
+  const fromTimestamp = parseTimestamp(req.query.from_timestamp);
+  const toTimestamp = parseTimestamp(req.query.to_timestamp);
+  if (Number.isNaN(fromTimestamp) || Number.isNaN(toTimestamp)) {
+    return res.status(400).json({
+      error: "Invalid from_timestamp or to_timestamp parameter. Must be a valid Unix timestamp in milliseconds."
+    });
+  }
+
+  res.json({
+    pair: describePair(req.pool).pair,
+    tz: defaultTimeZone.name,
+    from_timestamp: fromTimestamp,
+    to_timestamp: toTimestamp,
+    intervals: Object.fromEntries(reported.map(interval => {
+      const gaps = findGaps(priceData.ohlc[interval], intervalResolutions[interval], defaultTimeZone, {
+        from: fromTimestamp,
+        to: toTimestamp
+      });
+      return [interval, {
+        missing: gaps.reduce((total, gap) => total + gap.missing, 0),
+        gaps
+      }];
+    })),
+    lastUpdated: priceData.lastUpdated
+  });
+});
+
+// How far back raw history and each candle series actually go
+router.get("/coverage", (req, res) => {
+  const { priceData } = req.pool;
+
+  res.json({
+    ...getCoverage(priceData),
+    lastUpdated: priceData.lastUpdated
+  });
+});
+
+// Every interval: stored candles, paged and shaped as requested, or prices sampled from
+// raw history where an interval has none yet
+const allIntervalsResponse = (req) => {
+  const { priceData } = req.pool;
+  const result = {};
+  const pages = {};
+
+  validIntervals.forEach(intervalKey => {
+    if (priceData.ohlc[intervalKey] && priceData.ohlc[intervalKey].length > 0) {
+      // Use OHLC data
+      const { count, ohlc, page } = pageCandles(priceData.ohlc[intervalKey], req.paging);
+      result[intervalKey] = ohlc;
+      pages[intervalKey] = { count, ...page };
+    } else {
+      // Fall back to legacy method
+      result[intervalKey] = getIntervalPrices(priceData, intervals[intervalKey] / (60 * 1000));
+    }
+  });
+
+  return {
+    pair: describePair(req.pool).pair,
+    format: req.paging.format,
+    intervals: result,
+    pages,
+    lastUpdated: priceData.lastUpdated
+  };
+};
+
+// Define fixed-path routes before parameter routes
+router.get("/all", validatePaging, (req, res) => {
+  sendCandles(res, allIntervalsResponse(req));
+});
+
+router.get("/intervals/all", validatePaging, (req, res) => {
+  sendCandles(res, allIntervalsResponse(req));
+});
+
+// Legacy endpoint for backward compatibility
+router.get("/:interval", validateIntervalQuery(true), validatePaging, (req, res) => {
+  const { priceData } = req.pool;
+  const { interval: intervalKey, tz, fromTimestamp, toTimestamp } = req.candleQuery;
+
+  const { ohlc: ohlcData } = getCandles(priceData, intervalResolutions[intervalKey], tz);
+
+  // Use OHLC data if available, otherwise fall back to the old method
+  if (ohlcData.length > 0) {    
+    const filteredData = rangeCandles(req, ohlcData, intervalResolutions[intervalKey]);
+    if (!filteredData) return tooManyGaps(res);
+
+    sendCandles(res, {
+      interval: intervalKey,
+      pair: describePair(req.pool).pair,
+      tz: tz.name,
+      from_timestamp: fromTimestamp,
+      to_timestamp: toTimestamp,
+      format: req.paging.format,
+      ...pageCandles(filteredData, req.paging),
+      lastUpdated: priceData.lastUpdated
+    });
+  } else {
+    // Fall back to legacy data method
+    const intervalData = getIntervalPrices(priceData, intervals[intervalKey] / (60 * 1000));
+    
+    // Filter legacy data by timestamp if provided
+    let filteredData = intervalData;
+    if (fromTimestamp || toTimestamp) {
+      filteredData = intervalData.filter(item => {
+        const afterFrom = !fromTimestamp || item.timestamp >= fromTimestamp;
+        const beforeTo = !toTimestamp || item.timestamp <= toTimestamp;
+        return afterFrom && beforeTo;
+      });
+    }
+
+    // Calculate simple stats
+    let avg = 0;
+    let min = filteredData.length > 0 ? filteredData[0].price : 0;
+    let max = 0;
+
+    if (filteredData.length > 0) {
+      const sum = filteredData.reduce((acc, item) => acc + item.price, 0);
+      avg = sum / filteredData.length;
+
+      filteredData.forEach(item => {
+        if (item.price < min) min = item.price;
+        if (item.price > max) max = item.price;
+      });
+    }
+
+    res.json({
+      interval: intervalKey,
+      pair: describePair(req.pool).pair,
+      tz: tz.name,
+      from_timestamp: fromTimestamp,
+      to_timestamp: toTimestamp,
+      dataPoints: filteredData,
+      stats: {
+        count: filteredData.length,
+        avg,
+        min,
+        max
+      },
+      lastUpdated: priceData.lastUpdated
+    });
+  }
+});
+
+export default router;
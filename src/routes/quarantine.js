@@ -0,0 +1,97 @@
+import express from "express";
+import { getPool, getPools } from "../pools.js";
+import { getQuarantine, getQuarantined, getHeldTicks, releaseTick, purgeTick } from "../validation.js";
+import { tickValidation } from "../config.js";
+import { recordAudit, apiActor } from "../audit.js";
+import { requireAdmin } from "./admin.js";
+
+const router = express.Router();
+
+// Releasing a tick rewrites price data, so the quarantine takes the admin token
+router.use(requireAdmin);
+
+const statuses = ["quarantined", "released"];
+
+// Resolve the quarantine entry named in the :id route parameter
+const resolveEntry = (req, res, next) => {
+  const entry = getQuarantined(req.params.id);
+  if (!entry) {
+    return res.status(404).json({
+      error: "Unknown quarantined tick",
+      provided: req.params.id
+    });
+  }
+
+  req.entry = entry;
+  next();
+};
+
+// Record a change to a quarantined tick in the audit log
+const auditEntry = (req, action) => recordAudit(
+  apiActor(req),
+  action,
+  getPool(req.entry.pool) || { address: req.entry.pool, name: req.entry.poolName },
+  { id: req.entry.id },
+  { tick: req.entry.tick, reason: req.entry.reason }
+);
+
+// Rejected ticks for review, newest first: ?pool=<address or name>&status=quarantined|released&limit=,
+// with the ticks each pool currently holds for confirmation
+router.get("/", (req, res) => {
+  const pool = req.query.pool ? getPool(req.query.pool) : null;
+  if (req.query.pool && !pool) {
+    return res.status(400).json({
+      error: "Unknown pool",
+      provided: req.query.pool
+    });
+  }
+
+  const status = req.query.status || null;
+  if (status && !statuses.includes(status)) {
+    return res.status(400).json({
+      error: "Invalid status parameter",
+      provided: status,
+      validStatuses: statuses
+    });
+  }
+
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return res.status(400).json({
+      error: "Invalid limit parameter",
+      provided: req.query.limit
+    });
+  }
+
+  res.json({
+    validation: tickValidation,
+    ticks: getQuarantine({ pool, status, limit }),
+    held: (pool ? [pool] : getPools()).map(each => ({
+      pool: each.address,
+      name: each.name,
+      ticks: getHeldTicks(each)
+    }))
+  });
+});
+
+router.get("/:id", resolveEntry, (req, res) => {
+  res.json(req.entry);
+});
+
+// Accept a quarantined tick into its pool's history and candles
+router.post("/:id/release", resolveEntry, async (req, res) => {
+  const entry = await releaseTick(req.entry);
+  if (entry.error) return res.status(409).json(entry);
+
+  await auditEntry(req, "release_tick");
+  res.json(entry);
+});
+
+// Purge a tick from the quarantine log
+router.delete("/:id", resolveEntry, async (req, res) => {
+  await purgeTick(req.entry);
+  await auditEntry(req, "purge_tick");
+  res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,46 @@
+import express from "express";
+import { getRoutes, getRoute, describeRoute } from "../routing.js";
+import { describePair } from "../pricing.js";
+import { getFreshness } from "../health.js";
+import priceRouter from "./price.js";
+import indicatorsRouter from "./indicators.js";
+
+const router = express.Router();
+
+// Resolve the route named in the :name route parameter onto req.pool, which the price
+// routes serve like any pool
+const resolveRoute = (req, res, next) => {
+  const route = getRoute(req.params.name);
+
+  if (!route) {
+    return res.status(404).json({
+      error: "Unknown route",
+      provided: req.params.name,
+      validRoutes: getRoutes().map(({ name }) => name)
+    });
+  }
+
+  req.pool = route;
+  next();
+};
+
+// List derived prices with the path of their latest price and the state of every leg
+router.get("/", (req, res) => {
+  res.json({
+    routes: getRoutes().map(route => ({
+      name: route.name,
+      pair: describePair(route).pair,
+      latest: route.priceData.latestPrice,
+      lastUpdated: route.priceData.lastUpdated,
+      ...getFreshness(route),
+      ...describeRoute(route)
+    }))
+  });
+});
+
+// Route-scoped price routes, e.g. /api/routes/OKS-USD/price and /api/routes/OKS-USD/ohlc/:interval
+router.use("/:name/indicators", resolveRoute, indicatorsRouter);
+router.use("/:name/price", resolveRoute, priceRouter);
+router.use("/:name", resolveRoute, priceRouter);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from "express";
+import { getEndpointHealth } from "../rpc.js";
+import { rpcQuorum, rpcQuorumTolerance } from "../config.js";
+
+const router = express.Router();
+
+// Health and latency of every configured RPC endpoint
+router.get("/", (req, res) => {
+  res.json({
+    quorum: rpcQuorum,
+    quorumTolerance: rpcQuorumTolerance,
+    endpoints: getEndpointHealth(req.app.locals.provider)
+  });
+});
+
+export default router;
@@ -0,0 +1,115 @@
+import { mapInterval } from "../ohlc.js";
+import { parseCursor, subscribe, catchUp } from "../stream.js";
+import { log } from "../logger.js";
+import { streamHeartbeatInterval, streamMaxBufferedBytes } from "../config.js";
+
+// Parse the subscription: ticks (on unless ticks=false) and a comma-separated list of
+// candle intervals. Returns { error } for an invalid request.
+const parseSubscription = (query, lastEventId) => {
+  const intervalKeys = [];
+  for (const interval of String(query.intervals || "").split(",").filter(Boolean)) {
+    const intervalKey = mapInterval(interval.trim());
+    if (!intervalKey) return { error: "Invalid interval parameter", provided: interval };
+    if (!intervalKeys.includes(intervalKey)) intervalKeys.push(intervalKey);
+  }
+
+  const ticks = query.ticks !== "false" && query.ticks !== "0";
+  if (!ticks && intervalKeys.length === 0) {
+    return { error: "Nothing to stream: subscribe to ticks or at least one interval" };
+  }
+
+  // EventSource resends the last event id when it reconnects
+  const sinceValue = query.since || lastEventId;
+  const since = sinceValue ? parseCursor(sinceValue) : null;
+  if (sinceValue && !since) {
+    return { error: "Invalid since cursor. Use an event id or a Unix timestamp in milliseconds.", provided: sinceValue };
+  }
+
+  return { ticks, intervals: intervalKeys, since };
+};
+
+// Stream a pool's live ticks and candle updates as Server-Sent Events:
+//   event: tick     data: the tick
+//   event: candle   data: { interval, closed, candle }, closed once a newer candle opened
+//   event: heartbeat, every streamHeartbeatInterval
+//   event: truncated, when catching up from a cursor older than retained raw history
+// The last event sent for each tick carries its cursor as the event id.
+export const streamPrices = (req, res) => {
+  const pool = req.pool;
+  const subscription = parseSubscription(req.query, req.get("last-event-id"));
+
+  if (subscription.error) {
+    return res.status(400).json(subscription);
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no" // Keep reverse proxies from buffering the stream
+  });
+  res.flushHeaders();
+  res.write("retry: 3000\n\n");
+
+  let closed = false;
+  let unsubscribe = () => {};
+  let heartbeat = null;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = (event, data, id = null) => {
+    if (closed) return;
+    res.write(`${id ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Events for one tick, with the cursor on the last of them
+  const sendTick = ({ cursor, tick, candles }) => {
+    const events = candles
+      .filter(({ interval }) => subscription.intervals.includes(interval))
+      .map(update => ["candle", update]);
+    if (subscription.ticks) events.push(["tick", tick]);
+
+    events.forEach(([event, data], i) => send(event, data, i === events.length - 1 ? cursor : null));
+  };
+
+  if (subscription.since) {
+    const { ticks, candles, truncated } = catchUp(pool, subscription.since, subscription.intervals);
+    const { history } = pool.priceData;
+
+    if (truncated) {
+      send("truncated", {
+        since: subscription.since.timestamp,
+        oldest: history.length > 0 ? history[0].timestamp : null
+      });
+    }
+
+    // Each missed tick carries its own cursor; without ticks the last candle carries the newest
+    const newest = ticks.length > 0 ? ticks[ticks.length - 1].cursor : null;
+    candles.forEach((update, i) => send("candle", update, !subscription.ticks && i === candles.length - 1 ? newest : null));
+    if (subscription.ticks) {
+      ticks.forEach(({ cursor, tick }) => send("tick", tick, cursor));
+    }
+  }
+
+  unsubscribe = subscribe(pool, sendTick);
+
+  // Heartbeats keep proxies from timing the stream out; a client that stopped reading
+  // shows up as unsent data piling up, and is disconnected
+  heartbeat = setInterval(() => {
+    if (res.writableLength > streamMaxBufferedBytes) {
+      log.warn("Closing stalled stream", { pool: pool.name });
+      close();
+      return;
+    }
+    send("heartbeat", { time: Date.now() });
+  }, streamHeartbeatInterval);
+
+  req.on("close", close);
+  res.on("error", close);
+};
@@ -0,0 +1,200 @@
+import express from "express";
+import { getPools, getPool } from "../pools.js";
+import { describePair } from "../pricing.js";
+import { findCandleIndex } from "../ohlc.js";
+import { intervalResolutions } from "../intervals.js";
+import { defaultTimeZone } from "../calendar.js";
+
+// TradingView UDF datafeed for the Charting Library's UDFCompatibleDatafeed.
+// Every tracked pool is a symbol; timestamps are in seconds.
+const router = express.Router();
+
+// Exchange name shown for every symbol
+const exchange = "DEX";
+
+// TradingView resolution of each stored interval: minutes for fixed widths, and a count
+// of days, weeks or months for calendar intervals, e.g. "60", "1D", "1W"
+const calendarUnits = { day: "D", week: "W", month: "M" };
+const resolutionIntervals = Object.fromEntries(Object.entries(intervalResolutions).map(([interval, { calendar, count, ms }]) => [
+  calendar ? `${count}${calendarUnits[calendar]}` : String(ms / (60 * 1000)),
+  interval
+]));
+const resolutions = Object.keys(resolutionIntervals);
+const resolutionAliases = { D: "1D", W: "1W", M: "1M" };
+
+// Map a TradingView resolution onto a stored interval
+const toInterval = (resolution) => {
+  const key = resolutionAliases[resolution] || resolution;
+  return Object.hasOwn(resolutionIntervals, key) ? resolutionIntervals[key] : null;
+};
+
+// IANA name of the timezone daily, weekly and monthly candles are aligned to
+const symbolTimeZone = () => {
+  if (defaultTimeZone.timeZone) return defaultTimeZone.timeZone;
+
+  // Whole-hour offsets have an Etc/GMT zone, whose sign is inverted
+  const hours = defaultTimeZone.offset / (60 * 60 * 1000);
+  if (hours === 0 || !Number.isInteger(hours)) return "Etc/UTC";
+  return `Etc/GMT${hours > 0 ? "-" : "+"}${Math.abs(hours)}`;
+};
+
+// Price scale giving about six significant digits at the latest price
+const priceScale = (price) => {
+  if (!price) return 10 ** 8;
+  const decimals = Math.min(16, Math.max(2, 6 - Math.floor(Math.log10(price))));
+  return 10 ** decimals;
+};
+
+// Find a pool by address, name or pair, ignoring an "EXCHANGE:" prefix
+const findSymbol = (symbol) => {
+  if (!symbol) return null;
+  const name = String(symbol).split(":").pop();
+
+  return getPool(name) ||
+    getPools().find(pool => (describePair(pool).pair || "").toLowerCase() === name.toLowerCase()) ||
+    null;
+};
+
+// Search result entry for a pool
+const searchEntry = (pool) => {
+  const { pair } = describePair(pool);
+
+  return {
+    symbol: pair || pool.name,
+    full_name: `${exchange}:${pair || pool.name}`,
+    description: `${pool.name} (${pool.address})`,
+    exchange,
+    ticker: pool.address,
+    type: "crypto"
+  };
+};
+
+// Symbol info for a pool
+const symbolInfo = (pool) => {
+  const { pair } = describePair(pool);
+
+  return {
+    name: pair || pool.name,
+    ticker: pool.address,
+    description: `${pool.name} (${pool.address})`,
+    type: "crypto",
+    session: "24x7",
+    exchange,
+    listed_exchange: exchange,
+    timezone: symbolTimeZone(),
+    format: "price",
+    minmov: 1,
+    pricescale: priceScale(pool.priceData.latestPrice),
+    has_intraday: true,
+    intraday_multipliers: resolutions.filter(resolution => /^\d+$/.test(resolution)),
+    has_daily: true,
+    has_weekly_and_monthly: true,
+    supported_resolutions: resolutions,
+    volume_precision: 4,
+    data_status: "streaming"
+  };
+};
+
+// Parse a required timestamp parameter in seconds
+const parseSeconds = (value) => /^\d+$/.test(String(value)) ? Number(value) : NaN;
+
+router.get("/config", (req, res) => {
+  res.json({
+    supported_resolutions: resolutions,
+    supports_group_request: false,
+    supports_marks: false,
+    supports_timescale_marks: false,
+    supports_search: true,
+    supports_time: true,
+    exchanges: [{ value: exchange, name: exchange, desc: exchange }],
+    symbols_types: [{ name: "Crypto", value: "crypto" }]
+  });
+});
+
+router.get("/time", (req, res) => {
+  res.type("text/plain").send(String(Math.floor(Date.now() / 1000)));
+});
+
+router.get("/symbols", (req, res) => {
+  const pool = findSymbol(req.query.symbol);
+
+  if (!pool) {
+    return res.status(404).json({
+      s: "error",
+      errmsg: `Unknown symbol: ${req.query.symbol}`
+    });
+  }
+
+  res.json(symbolInfo(pool));
+});
+
+router.get("/search", (req, res) => {
+  const query = String(req.query.query || "").toLowerCase();
+  const limit = parseInt(req.query.limit) || 30;
+
+  const matches = getPools()
+    .map(searchEntry)
+    .filter(entry => !req.query.type || entry.type === req.query.type)
+    .filter(entry => !req.query.exchange || entry.exchange === req.query.exchange)
+    .filter(entry => [entry.symbol, entry.description].some(text => text.toLowerCase().includes(query)));
+
+  res.json(matches.slice(0, limit));
+});
+
+// Bars in columnar form. Bars are returned for from <= time < to, or the last countback
+// bars before to when countback is given. Without any, nextTime points at the newest
+// earlier bar so the chart can jump back to it.
+router.get("/history", (req, res) => {
+  const { symbol, resolution, countback } = req.query;
+  const pool = findSymbol(symbol);
+
+  if (!pool) {
+    return res.status(404).json({
+      s: "error",
+      errmsg: `Unknown symbol: ${symbol}`
+    });
+  }
+
+  const interval = toInterval(resolution);
+  if (!interval) {
+    return res.status(400).json({
+      s: "error",
+      errmsg: `Unsupported resolution: ${resolution}`
+    });
+  }
+
+  const from = parseSeconds(req.query.from);
+  const to = parseSeconds(req.query.to);
+  const count = countback === undefined ? null : parseSeconds(countback);
+
+  if (Number.isNaN(from) || Number.isNaN(to) || Number.isNaN(count)) {
+    return res.status(400).json({
+      s: "error",
+      errmsg: "from and to must be Unix timestamps in seconds, and countback a number of bars"
+    });
+  }
+
+  const series = pool.priceData.ohlc[interval] || [];
+  const end = findCandleIndex(series, to * 1000);
+  const start = count ? Math.max(0, end - count) : findCandleIndex(series, from * 1000);
+  const bars = series.slice(start, end);
+
+  if (bars.length === 0) {
+    const previous = series[Math.min(start, end) - 1];
+    return res.json(previous
+      ? { s: "no_data", nextTime: Math.floor(previous.timestamp / 1000) }
+      : { s: "no_data" });
+  }
+
+  res.json({
+    s: "ok",
+    t: bars.map(bar => Math.floor(bar.timestamp / 1000)),
+    o: bars.map(bar => bar.open),
+    h: bars.map(bar => bar.high),
+    l: bars.map(bar => bar.low),
+    c: bars.map(bar => bar.close),
+    v: bars.map(bar => bar.volume || 0)
+  });
+});
+
+export default router;
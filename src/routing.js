@@ -0,0 +1,225 @@
+import fs from "fs-extra";
+import path from "path";
+import { getPool, createPriceData, createPoolStatus } from "./pools.js";
+import { recordPrice } from "./poller.js";
+import { subscribe } from "./stream.js";
+import { getFreshness } from "./health.js";
+import { multiplyPrices } from "./pricing.js";
+import { createStore } from "./storage.js";
+import { log } from "./logger.js";
+import { storageBackend, dataDir } from "./config.js";
+
+// Derived prices: a pair priced through a chain of tracked pools, e.g. TOKEN/USDT as
+// TOKEN/WBNB × WBNB/USDT. Routes are listed under "routes" in the pool registry:
+//   { "name": "OKS/USD", "paths": [["OKS", "WBNB/USDT"], ["OKS", { "pool": "USDT/WBNB", "invert": true }]] }
+// Each path is a list of legs (a pool's address or name, or { pool, invert } to use the
+// pool's inverse price), where every leg's quote token is the next leg's base token. On
+// every tick of a leg the first path whose legs are all fresh prices the route, and the
+// tick records which path that was; while every path has a stale leg nothing is published.
+// A route keeps its own ticks and candles and is served like a pool.
+
+// Routes keyed by lowercased name
+const routes = new Map();
+
+// Turn a route name into a directory name
+const slug = (name) => name.toLowerCase().replace(/[^a-z0-9.-]+/g, "-");
+
+// Parse a leg of a path: a pool address or name, or { pool, invert }
+const parseLeg = (route, entry) => {
+  const { pool: ref, invert = false } = typeof entry === "string" ? { pool: entry } : entry || {};
+  const pool = getPool(ref);
+
+  if (!pool) {
+    throw new Error(`Route ${route}: unknown pool ${ref} (routes can only use pools in the registry)`);
+  }
+  if (typeof invert !== "boolean") {
+    throw new Error(`Route ${route}: invert must be true or false for pool ${ref}`);
+  }
+
+  return { pool, invert };
+};
+
+// Load the routes of the pool registry; pools must be loaded first
+export const loadRouteRegistry = async (configPath) => {
+  routes.clear();
+  if (!(await fs.pathExists(configPath))) return getRoutes();
+
+  const registry = await fs.readJson(configPath);
+
+  (registry.routes || []).forEach(entry => {
+    if (!entry.name || typeof entry.name !== "string") {
+      throw new Error("Every route in the registry needs a name");
+    }
+
+    const key = entry.name.toLowerCase();
+    if (routes.has(key) || getPool(entry.name)) {
+      throw new Error(`Duplicate route name in registry: ${entry.name}`);
+    }
+
+    if (!Array.isArray(entry.paths) || entry.paths.length === 0 ||
+      entry.paths.some(legs => !Array.isArray(legs) || legs.length === 0)) {
+      throw new Error(`Route ${entry.name} must list at least one path of at least one pool`);
+    }
+
+    const route = {
+      address: null,
+      name: entry.name,
+      dataFile: path.join(dataDir, "routes", `${slug(entry.name)}.json`),
+      dataDir: path.join(dataDir, "routes", slug(entry.name)),
+      base: "token0",
+      tokens: null, // The first leg's base and the last leg's quote token, once the legs' tokens load
+      paths: entry.paths.map(legs => ({ legs: legs.map(leg => parseLeg(entry.name, leg)), label: null })),
+      priceData: createPriceData(),
+      status: createPoolStatus()
+    };
+    route.store = createStore(storageBackend, route);
+
+    routes.set(key, route);
+  });
+
+  return getRoutes();
+};
+
+// List all routes
+export const getRoutes = () => Array.from(routes.values());
+
+// Look up a route by name or by its name as a directory name, e.g. "oks-usd" for "OKS/USD"
+export const getRoute = (name) => {
+  if (!name) return null;
+
+  const key = name.toLowerCase();
+  return routes.get(key) || getRoutes().find(route => slug(route.name) === key) || null;
+};
+
+// A leg's base and quote token, or null until its pool's tokens are loaded
+const legTokens = ({ pool, invert }) => {
+  if (!pool.tokens) return null;
+
+  const base = pool.tokens[pool.base];
+  const quote = pool.tokens[pool.base === "token0" ? "token1" : "token0"];
+  return invert ? { base: quote, quote: base } : { base, quote };
+};
+
+const sameToken = (a, b) => a.address.toLowerCase() === b.address.toLowerCase();
+
+// Check that a path chains from the route's base to its quote token, and label it with
+// its pairs and pools, e.g. "OKS/WBNB (OKS) × WBNB/USDT (BNB-USDT)". Returns false until every leg's tokens are
+// loaded; throws if the path does not chain.
+const checkPath = (route, routePath) => {
+  if (routePath.label) return true;
+
+  const sides = routePath.legs.map(legTokens);
+  if (sides.some(side => side === null)) return false;
+
+  sides.slice(1).forEach((side, i) => {
+    if (!sameToken(sides[i].quote, side.base)) {
+      throw new Error(`Route ${route.name}: ${sides[i].base.symbol}/${sides[i].quote.symbol} is followed by ${side.base.symbol}/${side.quote.symbol}, which does not start with ${sides[i].quote.symbol}`);
+    }
+  });
+
+  const tokens = { token0: sides[0].base, token1: sides[sides.length - 1].quote };
+  if (route.tokens && (!sameToken(route.tokens.token0, tokens.token0) || !sameToken(route.tokens.token1, tokens.token1))) {
+    throw new Error(`Route ${route.name}: paths price different pairs (${route.tokens.token0.symbol}/${route.tokens.token1.symbol} and ${tokens.token0.symbol}/${tokens.token1.symbol})`);
+  }
+
+  route.tokens = tokens;
+  routePath.label = sides
+    .map(({ base, quote }, i) => `${base.symbol}/${quote.symbol} (${routePath.legs[i].pool.name})`)
+    .join(" × ");
+  return true;
+};
+
+// Why a path cannot price the route right now, or null if it can
+const pathProblem = (route, routePath, now) => {
+  if (!checkPath(route, routePath)) return "tokens not loaded";
+
+  for (const { pool } of routePath.legs) {
+    if (!pool.priceData.latestExact) return `${pool.name} has no price yet`;
+    if (getFreshness(pool, now).stale) return `${pool.name} is stale`;
+  }
+  return null;
+};
+
+// Composite price of a path from its legs' latest exact prices
+const pathQuote = (routePath) => {
+  const prices = routePath.legs.map(({ pool, invert }) => {
+    const { price, inversePrice } = pool.priceData.latestExact;
+    return invert ? { price: inversePrice, inversePrice: price } : { price, inversePrice };
+  });
+
+  return {
+    price: multiplyPrices(prices.map(({ price }) => price)),
+    inversePrice: multiplyPrices(prices.map(({ inversePrice }) => inversePrice))
+  };
+};
+
+// Price the route through its first usable path at a leg's tick
+const updateRoute = async (route, timestamp) => {
+  const now = Date.now();
+  const problems = [];
+
+  for (const routePath of route.paths) {
+    const problem = pathProblem(route, routePath, now);
+    if (problem) {
+      problems.push(`${routePath.label || routePath.legs.map(({ pool }) => pool.name).join(" × ")}: ${problem}`);
+      continue;
+    }
+
+    // Legs tick independently, so a composite tick never goes back in time
+    const { lastUpdated } = route.priceData;
+    recordPrice(route, pathQuote(routePath), Math.max(timestamp, lastUpdated || 0), { path: routePath.label });
+
+    route.status.lastFetchAt = now;
+    route.status.consecutiveFailures = 0;
+    return;
+  }
+
+  // Every path has a stale or missing leg: keep the last composite price rather than publish a bad one
+  route.status.consecutiveFailures += 1;
+  route.status.lastError = `No usable path (${problems.join("; ")})`;
+  route.status.lastErrorAt = now;
+};
+
+// Check every route's paths, and reprice each route on the ticks of its legs
+export const startRouting = () => {
+  getRoutes().forEach(route => {
+    route.paths.forEach(routePath => checkPath(route, routePath));
+
+    const legPools = new Set(route.paths.flatMap(({ legs }) => legs.map(({ pool }) => pool)));
+    legPools.forEach(pool => {
+      subscribe(pool, ({ tick }) => {
+        updateRoute(route, tick.timestamp).catch(error => {
+          log.error("Error pricing route", { route: route.name, error });
+        });
+      });
+    });
+  });
+
+  if (routes.size > 0) log.info("Pricing routes through their pools", { routes: routes.size });
+};
+
+// The route's paths with the state of every leg, and the path of its latest price
+export const describeRoute = (route, now = Date.now()) => {
+  const { history } = route.priceData;
+  const latest = history[history.length - 1];
+
+  return {
+    path: latest ? latest.path : null,
+    paths: route.paths.map(routePath => ({
+      label: routePath.label,
+      usable: pathProblem(route, routePath, now) === null,
+      legs: routePath.legs.map(({ pool, invert }) => ({
+        pool: pool.address,
+        name: pool.name,
+        invert,
+        price: pool.priceData.latestExact
+          ? pool.priceData.latestExact[invert ? "inversePrice" : "price"]
+          : null,
+        lastUpdated: pool.priceData.lastUpdated,
+        ...getFreshness(pool, now)
+      }))
+    })),
+    lastError: route.status.lastError,
+    lastErrorAt: route.status.lastErrorAt
+  };
+};
@@ -0,0 +1,227 @@
+import { JsonRpcProvider, FetchRequest, Network } from "ethers";
+import {
+  chainId,
+  rpcUrls,
+  rpcTimeout,
+  rpcRetries,
+  rpcBackoffBase,
+  rpcBackoffMax,
+  rpcFailureThreshold,
+  rpcCooldown
+} from "./config.js";
+import { log } from "./logger.js";
+import { counter, histogram } from "./metrics.js";
+
+// JSON-RPC errors worth retrying on another endpoint; anything else (a revert, bad
+// params) would fail the same way everywhere and is returned to the caller
+const retryableMessage = /rate limit|too many requests|limit exceeded|capacity|timeout|timed out|header not found|busy|unavailable|internal error/i;
+const isRetryableRpcError = (error) => error.code === -32603 || retryableMessage.test(error.message || "");
+
+const rpcRequests = counter("rpc_requests_total", "JSON-RPC requests by endpoint and outcome (success or error)");
+const rpcLatency = histogram("rpc_request_duration_seconds", "JSON-RPC request latency by endpoint and outcome");
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff before retry number attempt (1-based), with up to 20% jitter
+const backoffDelay = (attempt) => Math.min(rpcBackoffBase * 2 ** (attempt - 1), rpcBackoffMax) * (1 + Math.random() * 0.2);
+
+// Hide the path of an endpoint URL, which often carries an API key
+const redactUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname.length > 1 ? "/***" : ""}`;
+  } catch (error) {
+    return "invalid url";
+  }
+};
+
+// Create the health record of an endpoint
+const createEndpoint = (url) => ({
+  url,
+  requests: 0,
+  failures: 0,
+  consecutiveFailures: 0,
+  latency: null, // Moving average of successful requests, in milliseconds
+  lastSuccessAt: null,
+  lastFailureAt: null,
+  lastError: null,
+  cooldownUntil: 0
+});
+
+const recordSuccess = (endpoint, latency) => {
+  rpcRequests.inc({ endpoint: redactUrl(endpoint.url), outcome: "success" });
+  rpcLatency.observe({ endpoint: redactUrl(endpoint.url), outcome: "success" }, latency / 1000);
+
+  endpoint.requests += 1;
+  endpoint.consecutiveFailures = 0;
+  endpoint.cooldownUntil = 0;
+  endpoint.lastSuccessAt = Date.now();
+  endpoint.latency = endpoint.latency === null ? latency : Math.round(endpoint.latency * 0.8 + latency * 0.2);
+};
+
+// Count a failure; an endpoint that keeps failing is skipped for a cooldown period
+const recordFailure = (endpoint, error, latency) => {
+  rpcRequests.inc({ endpoint: redactUrl(endpoint.url), outcome: "error" });
+  rpcLatency.observe({ endpoint: redactUrl(endpoint.url), outcome: "error" }, latency / 1000);
+
+  endpoint.requests += 1;
+  endpoint.failures += 1;
+  endpoint.consecutiveFailures += 1;
+  endpoint.lastFailureAt = Date.now();
+  endpoint.lastError = error.shortMessage || error.message;
+
+  if (endpoint.consecutiveFailures >= rpcFailureThreshold) {
+    endpoint.cooldownUntil = Date.now() + rpcCooldown;
+  }
+};
+
+const isCoolingDown = (endpoint) => endpoint.cooldownUntil > Date.now();
+
+// POST a JSON-RPC payload to one endpoint. Rejects on network errors, HTTP errors,
+// timeouts and retryable JSON-RPC errors, so the caller can move on to another endpoint.
+const postPayload = async (endpoint, payload) => {
+  const request = new FetchRequest(endpoint.url);
+  request.body = JSON.stringify(payload);
+  request.setHeader("content-type", "application/json");
+  request.timeout = rpcTimeout;
+  request.setThrottleParams({ maxAttempts: 1 }); // Retries are ours to make, on another endpoint
+
+  const started = Date.now();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      request.cancel();
+      reject(new Error(`Request timed out after ${rpcTimeout}ms`));
+    }, rpcTimeout);
+  });
+
+  try {
+    const response = await Promise.race([request.send(), timeout]);
+    response.assertOk();
+
+    const body = response.bodyJson;
+    const results = Array.isArray(body) ? body : [body];
+    const failed = results.find(result => result.error && isRetryableRpcError(result.error));
+    if (failed) throw new Error(`JSON-RPC error ${failed.error.code}: ${failed.error.message}`);
+
+    recordSuccess(endpoint, Date.now() - started);
+    return results;
+  } catch (error) {
+    recordFailure(endpoint, error, Date.now() - started);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Endpoints in the order to try them: from the current one onwards, those cooling
+// down after repeated failures last
+const endpointOrder = (state) => {
+  const { endpoints, current } = state;
+  const rotated = endpoints.map((_, i) => endpoints[(current + i) % endpoints.length]);
+  return [...rotated.filter(endpoint => !isCoolingDown(endpoint)), ...rotated.filter(isCoolingDown)];
+};
+
+// Send a payload, retrying with exponential backoff and rotating to the next endpoint
+// after each failure. The endpoint that answered stays current for later requests.
+const sendWithFailover = async (state, payload) => {
+  let lastError;
+
+  for (let attempt = 0; attempt <= rpcRetries; attempt++) {
+    if (attempt > 0) await sleep(backoffDelay(attempt));
+
+    const endpoint = endpointOrder(state)[0];
+    try {
+      const results = await postPayload(endpoint, payload);
+      state.current = state.endpoints.indexOf(endpoint);
+      return results;
+    } catch (error) {
+      lastError = error;
+      state.current = (state.endpoints.indexOf(endpoint) + 1) % state.endpoints.length;
+      log.warn("RPC request failed", {
+        endpoint: redactUrl(endpoint.url),
+        attempt: attempt + 1,
+        attempts: rpcRetries + 1,
+        error: error.shortMessage || error.message
+      });
+    }
+  }
+
+  throw lastError;
+};
+
+// ethers' provider for a list of endpoints. Everything ethers sends goes through
+// sendWithFailover; contracts and getLogs use it like any JsonRpcProvider. The network is
+// the configured one rather than detected, since ethers retries detection forever while
+// every endpoint is down instead of letting the request fail.
+class FailoverProvider extends JsonRpcProvider {
+  constructor(urls) {
+    super(urls[0], Network.from(chainId), { staticNetwork: true });
+    this.rpc = { endpoints: urls.map(createEndpoint), current: 0 };
+  }
+
+  async _send(payload) {
+    return sendWithFailover(this.rpc, payload);
+  }
+}
+
+// Create the provider for the configured RPC endpoints
+export const createRpcProvider = (urls = rpcUrls) => {
+  if (urls.length === 0) {
+    throw new Error("No RPC endpoints configured (set RPC_URLS or RPC_URL)");
+  }
+  return new FailoverProvider(urls);
+};
+
+// Call a JSON-RPC method on count different endpoints, for cross-checking their answers.
+// Healthy endpoints are asked first and failed ones replaced by the next; rejects if
+// fewer than count endpoints answer.
+export const sendToEndpoints = async (provider, method, params, count) => {
+  const candidates = endpointOrder(provider.rpc);
+  if (candidates.length < count) {
+    throw new Error(`Quorum of ${count} needs at least ${count} RPC endpoints, ${candidates.length} configured`);
+  }
+
+  const results = [];
+  let next = 0;
+  let pending = 0;
+
+  // Each worker keeps asking the next candidate until enough answers are in or on their way
+  const ask = async () => {
+    while (next < candidates.length && results.length + pending < count) {
+      const endpoint = candidates[next++];
+      pending += 1;
+      try {
+        const [response] = await postPayload(endpoint, { jsonrpc: "2.0", id: 1, method, params });
+        if (response.error) throw new Error(`JSON-RPC error ${response.error.code}: ${response.error.message}`);
+        results.push(response.result);
+      } catch (error) {
+        log.warn("Quorum request failed", { endpoint: redactUrl(endpoint.url), error: error.shortMessage || error.message });
+      } finally {
+        pending -= 1;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: count }, ask));
+
+  if (results.length < count) {
+    throw new Error(`Only ${results.length} of the ${count} RPC endpoints needed for a quorum answered`);
+  }
+  return results.slice(0, count);
+};
+
+// Health and latency of every endpoint, for the status API
+export const getEndpointHealth = (provider) => provider.rpc.endpoints.map((endpoint, i) => ({
+  url: redactUrl(endpoint.url),
+  current: i === provider.rpc.current,
+  healthy: !isCoolingDown(endpoint) && endpoint.consecutiveFailures < rpcFailureThreshold,
+  requests: endpoint.requests,
+  failures: endpoint.failures,
+  consecutiveFailures: endpoint.consecutiveFailures,
+  latency: endpoint.latency,
+  lastSuccessAt: endpoint.lastSuccessAt,
+  lastFailureAt: endpoint.lastFailureAt,
+  lastError: endpoint.lastError,
+  cooldownUntil: isCoolingDown(endpoint) ? endpoint.cooldownUntil : null
+}));
@@ -0,0 +1,72 @@
+import fs from "fs-extra";
+import path from "path";
+import { replacePoolData } from "./pools.js";
+import { invalidateCandleCache } from "./aggregate.js";
+import { writeJsonAtomic } from "./storage.js";
+import { recordAudit } from "./audit.js";
+import { log } from "./logger.js";
+import { snapshotsDir } from "./config.js";
+
+// Snapshots of a pool's price data, taken by operators before manual changes and restored
+// when one goes wrong. Each is a file { id, pool, poolName, label, takenAt, state } in a
+// directory per pool under snapshotsDir, named like the pool's store directory. These are
+// separate from the store's own snapshot.json, which is replaced on every save.
+
+const poolSnapshotsDir = (pool) => path.join(snapshotsDir, path.basename(pool.dataDir));
+
+// Ids are timestamps, e.g. 2026-10-18T09-30-00-000Z; anything else never names a file
+const validId = (id) => /^[0-9TZ-]+$/.test(id);
+
+// A snapshot without its state
+const describeSnapshot = ({ state, ...snapshot }) => ({
+  ...snapshot,
+  lastUpdated: state.lastUpdated,
+  ticks: state.history.length,
+  candles: Object.fromEntries(Object.entries(state.ohlc).map(([interval, series]) => [interval, series.length]))
+});
+
+// Copy a pool's price data to a new snapshot
+export const takeSnapshot = async (pool, actor, label = null) => {
+  const takenAt = Date.now();
+  const id = new Date(takenAt).toISOString().replace(/[:.]/g, "-");
+  const snapshot = { id, pool: pool.address, poolName: pool.name, label, takenAt, state: pool.priceData };
+
+  await writeJsonAtomic(path.join(poolSnapshotsDir(pool), `${id}.json`), snapshot);
+  const description = describeSnapshot(snapshot);
+
+  log.info("Took snapshot", { pool: pool.name, id });
+  await recordAudit(actor, "take_snapshot", pool, { label }, description);
+  return description;
+};
+
+// A pool's snapshots, newest first
+export const listSnapshots = async (pool) => {
+  const dir = poolSnapshotsDir(pool);
+  if (!(await fs.pathExists(dir))) return [];
+
+  const files = (await fs.readdir(dir)).filter(file => file.endsWith(".json")).sort().reverse();
+  const snapshots = [];
+  for (const file of files) {
+    snapshots.push(describeSnapshot(await fs.readJson(path.join(dir, file))));
+  }
+  return snapshots;
+};
+
+// Replace a pool's price data with a snapshot, after snapshotting the current data so the
+// restore can be undone. Ticks recorded since the snapshot are dropped; backfill from the
+// chain to recover them. Returns null if there is no such snapshot.
+export const restoreSnapshot = async (pool, actor, id, reason = null) => {
+  const file = path.join(poolSnapshotsDir(pool), `${id}.json`);
+  if (!validId(id) || !(await fs.pathExists(file))) return null;
+
+  const snapshot = await fs.readJson(file);
+  const backup = await takeSnapshot(pool, actor, `Before restoring ${id}`);
+
+  await replacePoolData(pool, snapshot.state);
+  invalidateCandleCache(pool.priceData);
+
+  log.info("Restored snapshot", { pool: pool.name, id });
+  const restored = describeSnapshot(snapshot);
+  await recordAudit(actor, "restore_snapshot", pool, { id, reason }, { restored, backup: backup.id });
+  return { restored, backup };
+};
@@ -0,0 +1,163 @@
+import fs from "fs-extra";
+import path from "path";
+import { log } from "./logger.js";
+
+// Every store has the same shape:
+//   load()           -> { state, entries }: the last snapshot (or null) and the records appended after it
+//   append(record)   -> persist one price tick record, synchronously
+//   snapshot(state)  -> persist the full state as of the call and drop records it already covers
+//   isEmpty()        -> true if nothing has been stored yet
+
+// Write a file atomically: write a temp file, fsync it, then rename over the target
+export const writeFileAtomic = async (filePath, contents) => {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.ensureDir(path.dirname(filePath));
+
+  const handle = await fs.promises.open(tmpPath, "w");
+  try {
+    await handle.writeFile(contents);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  await fs.rename(tmpPath, filePath);
+};
+
+// Write a JSON file atomically
+export const writeJsonAtomic = (filePath, data) => writeFileAtomic(filePath, JSON.stringify(data));
+
+// Parse JSONL records, skipping a torn final line left by a crash mid-append
+export const parseSegment = (content, segmentPath) => {
+  const lines = content.split("\n").filter(line => line.length > 0);
+
+  return lines.flatMap((line, i) => {
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      if (i === lines.length - 1) {
+        log.warn("Skipping truncated record", { file: segmentPath });
+        return [];
+      }
+      throw new Error(`Corrupt record on line ${i + 1} of ${segmentPath}`);
+    }
+  });
+};
+
+// Single JSON file holding the whole state. Appends are not persisted until the next
+// snapshot, so a crash loses recent ticks; kept for tests and the legacy file format.
+export const createJsonFileStore = (filePath) => {
+  let snapshotting = Promise.resolve();
+
+  return {
+    kind: "json",
+
+    load: async () => ({
+      state: await fs.pathExists(filePath) ? await fs.readJson(filePath) : null,
+      entries: []
+    }),
+
+    append: () => {},
+
+    // Serialize now, write once earlier snapshots have finished
+    snapshot: (state) => {
+      const contents = JSON.stringify(state);
+      snapshotting = snapshotting.catch(() => {}).then(() => writeFileAtomic(filePath, contents));
+      return snapshotting;
+    },
+
+    isEmpty: async () => !(await fs.pathExists(filePath))
+  };
+};
+
+// Append-only segmented JSONL log plus periodic snapshots, all in one directory:
+//   snapshot.json         { segment, savedAt, state }, replaced by atomic rename
+//   segment-<n>.jsonl     records appended since the snapshot, one JSON object per line
+// A snapshot rotates to a new segment first and records it as the first segment it does
+// not cover, so a crash at any point replays to the same state on the next load.
+export const createLogStore = (dir) => {
+  const snapshotPath = path.join(dir, "snapshot.json");
+  const segmentPath = (seq) => path.join(dir, `segment-${String(seq).padStart(6, "0")}.jsonl`);
+  const segmentSeq = (file) => {
+    const match = /^segment-(\d+)\.jsonl$/.exec(file);
+    return match ? Number(match[1]) : null;
+  };
+
+  const listSegments = async () => {
+    if (!(await fs.pathExists(dir))) return [];
+    const files = await fs.readdir(dir);
+    return files.map(segmentSeq).filter(seq => seq !== null).sort((a, b) => a - b);
+  };
+
+  let currentSeq = null;
+  let snapshotting = Promise.resolve();
+
+  // Segment currently appended to: the newest on disk if this store has not been loaded
+  const resolveSeq = () => {
+    if (currentSeq === null) {
+      const files = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+      currentSeq = Math.max(0, ...files.map(segmentSeq).filter(seq => seq !== null));
+    }
+    return currentSeq;
+  };
+
+  return {
+    kind: "log",
+
+    load: async () => {
+      await fs.ensureDir(dir);
+
+      const snapshot = await fs.pathExists(snapshotPath) ? await fs.readJson(snapshotPath) : null;
+      const firstSeq = snapshot ? snapshot.segment : 0;
+      const segments = (await listSegments()).filter(seq => seq >= firstSeq);
+
+      const entries = [];
+      for (const seq of segments) {
+        const content = await fs.readFile(segmentPath(seq), "utf8");
+        entries.push(...parseSegment(content, segmentPath(seq)));
+      }
+
+      // Append to a fresh segment, so a torn record from a crash stays at the end of its file
+      currentSeq = segments.length > 0 ? Math.max(firstSeq, segments[segments.length - 1] + 1) : firstSeq;
+
+      return { state: snapshot ? snapshot.state : null, entries };
+    },
+
+    // Appends are synchronous so records land in the segment in the order they were recorded,
+    // and a caller can apply a record before any snapshot runs
+    append: (record) => {
+      fs.ensureDirSync(dir);
+      fs.appendFileSync(segmentPath(resolveSeq()), JSON.stringify(record) + "\n");
+    },
+
+    // Serialize and rotate when called, so the snapshot holds exactly the records appended to
+    // the segments before its own and every later append goes to the new segment. Writes
+    // run one at a time so they land in segment order.
+    snapshot: (state) => {
+      const segment = resolveSeq() + 1;
+      const contents = JSON.stringify({ segment, savedAt: Date.now(), state });
+      fs.ensureDirSync(dir);
+      fs.ensureFileSync(segmentPath(segment));
+      currentSeq = segment;
+
+      snapshotting = snapshotting.catch(() => {}).then(async () => {
+        await writeFileAtomic(snapshotPath, contents);
+
+        // Drop the segments the snapshot now covers
+        for (const seq of await listSegments()) {
+          if (seq < segment) await fs.remove(segmentPath(seq));
+        }
+      });
+      return snapshotting;
+    },
+
+    isEmpty: async () => !(await fs.pathExists(snapshotPath)) && (await listSegments()).length === 0
+  };
+};
+
+// Create the configured store for a pool
+export const createStore = (backend, pool) => {
+  if (backend === "json") return createJsonFileStore(pool.dataFile);
+  if (backend === "log") return createLogStore(pool.dataDir);
+  throw new Error(`Unknown storage backend: ${backend} (use "log" or "json")`);
+};
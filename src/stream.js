@@ -0,0 +1,110 @@
+import { EventEmitter } from "events";
+import { intervals } from "./intervals.js";
+import { bucketStart, defaultTimeZone } from "./calendar.js";
+import { findCandleIndex } from "./ohlc.js";
+
+// Live ticks and candle updates, published per pool as they are recorded. Every event
+// published for a tick carries the tick's cursor, "<timestamp>-<n>" where n counts the
+// earlier ticks in raw history with the same timestamp, so a client can resume from it.
+
+const emitters = new WeakMap();
+
+// Get the event emitter of a pool (or a derived price)
+const emitterFor = (pool) => {
+  if (!emitters.has(pool)) {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0); // One listener per connected client
+    emitters.set(pool, emitter);
+  }
+  return emitters.get(pool);
+};
+
+// Cursor of the tick at index in raw history
+const cursorAt = (history, index) => {
+  const { timestamp } = history[index];
+  let n = 0;
+  while (index - n - 1 >= 0 && history[index - n - 1].timestamp === timestamp) n += 1;
+  return `${timestamp}-${n}`;
+};
+
+// Parse a cursor into { timestamp, n }, or null if it is not one. A bare timestamp
+// resumes after every tick at that millisecond.
+export const parseCursor = (value) => {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(String(value));
+  if (!match) return null;
+  return { timestamp: Number(match[1]), n: match[2] === undefined ? Infinity : Number(match[2]) };
+};
+
+// Start time of the current candle of every interval, taken before a tick is applied
+export const currentCandleStarts = (priceData) => Object.fromEntries(
+  Object.keys(intervals).map(interval => {
+    const series = priceData.ohlc[interval];
+    return [interval, series.length > 0 ? series[series.length - 1].timestamp : null];
+  })
+);
+
+// Publish a live tick after it was applied, with the candles it updated. A tick that
+// opens a new candle also closes the previous one.
+export const publishTick = (pool, tick, previousStarts) => {
+  const { priceData } = pool;
+  const candles = [];
+
+  Object.keys(intervals).forEach(interval => {
+    const series = priceData.ohlc[interval];
+    const current = series[series.length - 1];
+
+    // Late ticks for a superseded candle do not change any candle
+    if (!current || current.timestamp !== bucketStart(interval, tick.timestamp, defaultTimeZone)) return;
+
+    const previous = series[series.length - 2];
+    if (previous && current.timestamp !== previousStarts[interval] && previous.timestamp === previousStarts[interval]) {
+      candles.push({ interval, closed: true, candle: previous });
+    }
+    candles.push({ interval, closed: false, candle: current });
+  });
+
+  const { history } = priceData;
+  const cursor = history[history.length - 1] === tick ? cursorAt(history, history.length - 1) : null;
+
+  emitterFor(pool).emit("tick", { cursor, tick, candles });
+};
+
+// Subscribe to a pool's live ticks; returns a function that unsubscribes
+export const subscribe = (pool, listener) => {
+  const emitter = emitterFor(pool);
+  emitter.on("tick", listener);
+  return () => emitter.off("tick", listener);
+};
+
+// Events a client missed since a cursor: the raw ticks recorded after it (each with its
+// cursor) and the current state of every candle of the given intervals the cursor's
+// time falls in or after. truncated is set when raw retention dropped ticks after it.
+export const catchUp = (pool, since, subscribedIntervals) => {
+  const { priceData } = pool;
+  const { history } = priceData;
+
+  let index = findCandleIndex(history, since.timestamp);
+  for (let seen = 0; index < history.length && history[index].timestamp === since.timestamp && seen <= since.n; seen++) {
+    index += 1;
+  }
+
+  const ticks = history.slice(index).map((tick, i) => ({ cursor: cursorAt(history, index + i), tick }));
+
+  const candles = subscribedIntervals.flatMap(interval => {
+    const series = priceData.ohlc[interval];
+    const from = findCandleIndex(series, bucketStart(interval, since.timestamp, defaultTimeZone));
+    return series.slice(from).map((candle, i) => ({
+      interval,
+      closed: from + i < series.length - 1,
+      candle
+    }));
+  });
+
+  return {
+    ticks,
+    candles,
+    truncated: history.length > 0
+      ? history[0].timestamp > since.timestamp
+      : (priceData.lastUpdated || 0) > since.timestamp
+  };
+};
@@ -0,0 +1,154 @@
+import { Interface, formatUnits } from "ethers";
+import IUniswapV3PoolABI from "../artifacts/IUniswapV3PoolAbi.json" assert { type: "json" };
+import { sqrtPriceX96ToPrices, orientPrices } from "./pricing.js";
+import { fetchLatestPrice, loadPoolTokens, recordPrice, confirmPendingTicks } from "./poller.js";
+import { recordFetchSuccess, recordFetchFailure } from "./health.js";
+import { log } from "./logger.js";
+import { logsChunkSize } from "./config.js";
+
+const poolInterface = new Interface(IUniswapV3PoolABI.abi);
+const swapTopic = poolInterface.getEvent("Swap").topicHash;
+
+// Block timestamps are immutable, so cache them across polls
+const blockTimestamps = new Map();
+const maxCachedBlocks = 10000;
+
+// Get a block's timestamp in milliseconds
+export const getBlockTimestamp = async (provider, blockNumber) => {
+  if (blockTimestamps.has(blockNumber)) return blockTimestamps.get(blockNumber);
+
+  const block = await provider.getBlock(blockNumber);
+  if (!block) throw new Error(`Block ${blockNumber} not found`);
+
+  const timestamp = block.timestamp * 1000;
+  if (blockTimestamps.size >= maxCachedBlocks) {
+    blockTimestamps.delete(blockTimestamps.keys().next().value);
+  }
+  blockTimestamps.set(blockNumber, timestamp);
+  return timestamp;
+};
+
+// Get timestamps for a batch of logs; concurrent lookups are batched by the provider
+export const getLogTimestamps = async (provider, logs) => {
+  const blockNumbers = [...new Set(logs.map(log => log.blockNumber))];
+  const timestamps = await Promise.all(blockNumbers.map(blockNumber => getBlockTimestamp(provider, blockNumber)));
+  const byBlock = new Map(blockNumbers.map((blockNumber, i) => [blockNumber, timestamps[i]]));
+  return logs.map(log => byBlock.get(log.blockNumber));
+};
+
+// Absolute token amount as a decimal-adjusted Number
+const toVolume = (amount, decimals) => Number(formatUnits(amount < 0n ? -amount : amount, decimals));
+
+// Decode a Swap log into a price quote and traded base/quote amounts
+export const decodeSwapLog = (pool, log) => {
+  const { args } = poolInterface.parseLog(log);
+  const { token0, token1 } = pool.tokens;
+
+  const quote = orientPrices(pool, sqrtPriceX96ToPrices(args.sqrtPriceX96, token0.decimals, token1.decimals));
+  const volume0 = toVolume(args.amount0, token0.decimals);
+  const volume1 = toVolume(args.amount1, token1.decimals);
+
+  return {
+    quote,
+    trade: {
+      baseVolume: pool.base === "token0" ? volume0 : volume1,
+      quoteVolume: pool.base === "token0" ? volume1 : volume0,
+      blockNumber: log.blockNumber,
+      logIndex: log.index
+    }
+  };
+};
+
+// Fetch a pool's Swap logs for a block range, split into chunks the RPC will accept
+export const fetchSwapLogs = async (provider, pool, fromBlock, toBlock, chunkSize = logsChunkSize) => {
+  const logs = [];
+
+  for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, toBlock);
+    const chunk = await provider.getLogs({
+      address: pool.address,
+      topics: [swapTopic],
+      fromBlock: start,
+      toBlock: end
+    });
+    logs.push(...chunk);
+  }
+
+  return logs;
+};
+
+// Whether a Swap log comes after the last one recorded for a pool. A poll that failed part
+// way is scanned again from its first block, and the swaps it already recorded are skipped.
+const isNewSwap = (pool, { blockNumber, index }) => !pool.lastSwap || blockNumber > pool.lastSwap.blockNumber ||
+  (blockNumber === pool.lastSwap.blockNumber && index > pool.lastSwap.logIndex);
+
+// Poll for new Swap events since the pool's last processed block
+export const pollSwaps = async (provider, pool) => {
+  if (!pool.tokens) await loadPoolTokens(provider, pool);
+
+  const head = await provider.getBlockNumber();
+
+  // Start from the current head; history before startup is the backfill's job
+  if (pool.lastBlock === null) {
+    pool.lastBlock = head;
+    recordFetchSuccess(pool, head);
+    return 0;
+  }
+
+  if (head <= pool.lastBlock) {
+    recordFetchSuccess(pool, head);
+    return 0;
+  }
+
+  const logs = await fetchSwapLogs(provider, pool, pool.lastBlock + 1, head);
+
+  // Resolve every timestamp first so a failed lookup can't leave the range half-recorded
+  const timestamps = await getLogTimestamps(provider, logs);
+
+  for (const [i, swapLog] of logs.entries()) {
+    if (!isNewSwap(pool, swapLog)) continue;
+    const { quote, trade } = decodeSwapLog(pool, swapLog);
+    recordPrice(pool, quote, timestamps[i], trade);
+    pool.lastSwap = { blockNumber: swapLog.blockNumber, logIndex: swapLog.index };
+  }
+
+  pool.lastBlock = head;
+  recordFetchSuccess(pool, head);
+  confirmPendingTicks(pool);
+
+  if (logs.length > 0) {
+    log.info("Ingested swaps", { pool: pool.name, swaps: logs.length, block: head, price: pool.priceData.latestExact?.price ?? null });
+  }
+
+  return logs.length;
+};
+
+// Start Swap-event ingestion for a pool, polling eth_getLogs every intervalMs
+export const startSwapIngestion = async (provider, pool, intervalMs) => {
+  pool.lastBlock = null;
+
+  // Seed the latest price from slot0 so it is available before the first swap
+  const quote = await fetchLatestPrice(provider, pool);
+  if (quote !== null) {
+    pool.priceData.latestPrice = Number(quote.price);
+    pool.priceData.latestExact = quote;
+    pool.priceData.lastUpdated = Date.now();
+  }
+
+  let polling = false;
+
+  return setInterval(async () => {
+    // Skip this round if the previous poll is still running
+    if (polling) return;
+    polling = true;
+
+    try {
+      await pollSwaps(provider, pool);
+    } catch (error) {
+      recordFetchFailure(pool, error);
+      log.error("Error polling swaps", { pool: pool.name, error });
+    } finally {
+      polling = false;
+    }
+  }, intervalMs);
+};
@@ -0,0 +1,87 @@
+// Parsing of durations, candle resolutions and timezones. This module imports nothing, so the config
+// can use it to check settings before anything else loads.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const durationUnits = {
+  s: 1000,
+  m: MINUTE,
+  h: HOUR,
+  d: DAY,
+  w: 7 * DAY,
+  y: 365 * DAY
+};
+
+// Parse a duration such as "90s", "15m", "24h", "14d", "2w" or "1y" into milliseconds
+export const parseDuration = (value) => {
+  const match = /^(\d+)(s|m|h|d|w|y)$/.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid duration: ${value} (use a number followed by s, m, h, d, w or y)`);
+  }
+  return Number(match[1]) * durationUnits[match[2]];
+};
+
+// Resolution units: minutes and hours have a fixed width, days, weeks and months follow the calendar
+const resolutionUnits = {
+  m: { ms: MINUTE, calendar: null },
+  h: { ms: HOUR, calendar: null },
+  d: { ms: DAY, calendar: "day" },
+  w: { ms: 7 * DAY, calendar: "week" }, // ISO weeks, starting Monday
+  M: { ms: 30 * DAY, calendar: "month" }
+};
+
+// Parse a candle resolution such as "1m", "4h", "3d", "2w" or "3M" into
+// { name, unit, count, ms, calendar }, or null if it is not one. A bare number is
+// minutes, and "D"/"W" are accepted for days and weeks, as charting libraries send them.
+// Whole days written in hours ("24h", "48h") are calendar days.
+export const parseResolution = (value) => {
+  const match = /^(\d+)?([mhdDwWM])?$/.exec(String(value).trim());
+  if (!match || (match[1] === undefined && match[2] === undefined)) return null;
+
+  let count = match[1] === undefined ? 1 : Number(match[1]);
+  let unit = match[2] === undefined ? "m" : match[2].replace("D", "d").replace("W", "w");
+  if (!Number.isSafeInteger(count) || count === 0) return null;
+
+  if (unit === "h" && count % 24 === 0) {
+    count /= 24;
+    unit = "d";
+  }
+
+  return {
+    name: `${count}${unit}`,
+    unit,
+    count,
+    ms: count * resolutionUnits[unit].ms,
+    calendar: resolutionUnits[unit].calendar
+  };
+};
+
+// Parse a timezone: "UTC", a fixed offset such as "+05:30", "-03", "UTC+2", or an IANA name
+// such as "Europe/Berlin". Returns { name, offset } for fixed offsets or { name, timeZone }.
+export const resolveTimeZone = (value) => {
+  const input = String(value || "UTC").trim();
+
+  if (/^(utc|gmt|z)$/i.test(input)) return { name: "UTC", offset: 0 };
+
+  const match = /^(?:utc|gmt)?([+-])(\d{1,2})(?::?(\d{2}))?$/i.exec(input);
+  if (match) {
+    const [, sign, hours, minutes = "0"] = match;
+    if (Number(hours) > 14 || Number(minutes) > 59) {
+      throw new Error(`Invalid UTC offset: ${input}`);
+    }
+    const offset = (sign === "-" ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60 * 1000;
+    const name = offset === 0
+      ? "UTC"
+      : `${sign}${hours.padStart(2, "0")}:${minutes.padStart(2, "0")}`;
+    return { name, offset };
+  }
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: input });
+  } catch {
+    throw new Error(`Invalid timezone: ${input}`);
+  }
+  return { name: input, timeZone: input };
+};
@@ -0,0 +1,217 @@
+import { randomUUID } from "crypto";
+import fs from "fs-extra";
+import { getPool, savePoolData } from "./pools.js";
+import { applyRecord } from "./poller.js";
+import { getTwap } from "./oracle.js";
+import { insertTick } from "./ohlc.js";
+import { invalidateCandleCache } from "./aggregate.js";
+import { writeJsonAtomic } from "./storage.js";
+import { log } from "./logger.js";
+import { tickValidation, quarantinePath, quarantineLogSize } from "./config.js";
+
+// Tick validation: every live tick of a pool is screened before it reaches history and
+// candles, so one manipulated or glitched read cannot distort the high and low of every
+// interval. Checks, in order:
+//   twap_deviation         the price is too far from the pool's TWAP, rejected outright
+//   unconfirmed_deviation  the price is too far from the rolling median and did not hold
+//                          for the required reads or blocks before the price came back
+// A deviating price is held until it is confirmed (then applied with the ticks that held
+// it) or contradicted (then quarantined). Rejected ticks are kept in the quarantine log at
+// quarantinePath for review, where operators can release them into the data or purge them.
+// Derived prices are not screened; their legs already are.
+
+let quarantine = [];
+let saving = Promise.resolve();
+
+// Persist the quarantine log, one write at a time
+const saveQuarantine = () => {
+  const contents = { ticks: quarantine };
+  saving = saving.catch(() => {}).then(() => writeJsonAtomic(quarantinePath, contents));
+  saving.catch(error => log.error("Error saving the quarantine log", { error }));
+  return saving;
+};
+
+// Ticks held for confirmation, when the last confirmed move started, and the latest TWAP
+// read, per pool
+const held = new WeakMap();
+const movedAt = new WeakMap();
+const twaps = new WeakMap();
+
+const deviation = (price, reference) => Math.abs(price - reference) / reference;
+
+// Median of the last medianWindow accepted prices, or null until there are minSamples.
+// After a confirmed move only the prices since the move count, so the new level becomes
+// the reference at once instead of every tick having to be confirmed again.
+const rollingMedian = (pool) => {
+  let ticks = pool.priceData.history.slice(-tickValidation.medianWindow);
+  const since = movedAt.get(pool);
+
+  if (since !== undefined) {
+    if (ticks.every(tick => tick.timestamp >= since)) movedAt.delete(pool);
+    else ticks = ticks.filter(tick => tick.timestamp >= since);
+  } else if (ticks.length < tickValidation.minSamples) {
+    return null;
+  }
+  if (ticks.length === 0) return null;
+
+  const prices = ticks.map(tick => tick.price).sort((a, b) => a - b);
+  const middle = prices.length >> 1;
+  return prices.length % 2 === 1 ? prices[middle] : (prices[middle - 1] + prices[middle]) / 2;
+};
+
+// Add rejected ticks to the quarantine log, dropping the oldest entries beyond its size
+const quarantineTicks = (pool, records, reason) => {
+  if (records.length === 0) return;
+
+  records.forEach(({ tick, exact, checks }) => {
+    quarantine.push({
+      id: randomUUID(),
+      pool: pool.address,
+      poolName: pool.name,
+      reason,
+      checks,
+      tick,
+      exact,
+      status: "quarantined",
+      quarantinedAt: Date.now()
+    });
+  });
+  quarantine.splice(0, Math.max(0, quarantine.length - quarantineLogSize));
+
+  log.warn("Quarantined ticks", { pool: pool.name, reason, prices: records.map(({ tick }) => tick.price) });
+  saveQuarantine();
+};
+
+// The held ticks of a pool if its price has held for enough reads or blocks: ticks in
+// distinct blocks (or distinct reads, for slot0 polls), or for swaps a chain head that
+// has moved on that many blocks without a swap taking the price back. Clears them if so.
+export const confirmPending = (pool) => {
+  const records = held.get(pool);
+  if (!records) return [];
+
+  const positions = new Set(records.map(({ tick }, i) => tick.blockNumber === undefined ? `read-${i}` : tick.blockNumber));
+  const firstBlock = records[0].tick.blockNumber;
+  const blocksHeld = firstBlock === undefined || pool.status.latestBlock === null ? 0 : pool.status.latestBlock - firstBlock + 1;
+
+  if (Math.max(positions.size, blocksHeld) < tickValidation.confirmations) return [];
+
+  held.delete(pool);
+  movedAt.set(pool, records[0].tick.timestamp);
+  log.info("Confirmed a price move", { pool: pool.name, price: records[records.length - 1].tick.price, confirmations: Math.max(positions.size, blocksHeld) });
+  return records.map(({ tick, exact }) => ({ tick, exact }));
+};
+
+// Screen a live tick, returning the ticks to apply now: none while it is held or if it
+// was rejected, the tick itself if it passed, or every held tick once it is confirmed
+export const screenTick = (pool, tick, exact) => {
+  const record = { tick, exact };
+  if (!tickValidation.enabled || !pool.address) return [record];
+
+  const checks = {};
+  const twap = twaps.get(pool);
+  if (twap) {
+    checks.twap = twap.price;
+    checks.twapDeviation = deviation(tick.price, twap.price);
+    if (checks.twapDeviation > tickValidation.maxTwapDeviation) {
+      quarantineTicks(pool, [{ ...record, checks }], "twap_deviation");
+      return [];
+    }
+  }
+
+  const median = rollingMedian(pool);
+  if (median === null) return [record];
+  checks.median = median;
+  checks.deviation = deviation(tick.price, median);
+
+  let records = held.get(pool) || [];
+
+  // Back within range: the move did not hold
+  if (checks.deviation <= tickValidation.maxDeviation) {
+    quarantineTicks(pool, records, "unconfirmed_deviation");
+    held.delete(pool);
+    return [record];
+  }
+
+  // A deviating price is held together with held ticks at the same level, or replaces them
+  if (records.length > 0 && deviation(tick.price, records[0].tick.price) > tickValidation.maxDeviation) {
+    quarantineTicks(pool, records, "unconfirmed_deviation");
+    records = [];
+  }
+  records.push({ ...record, checks });
+  held.set(pool, records);
+
+  return confirmPending(pool);
+};
+
+// Ticks of a pool held for confirmation
+export const getHeldTicks = (pool) => (held.get(pool) || []).map(({ tick, checks }) => ({ tick, checks }));
+
+// Read a pool's TWAP for the TWAP check; the check is skipped while it cannot be read
+const refreshTwap = async (provider, pool) => {
+  try {
+    const { price } = await getTwap(provider, pool, tickValidation.twapWindow);
+    twaps.set(pool, { price: Number(price), readAt: Date.now() });
+  } catch (error) {
+    twaps.delete(pool);
+    log.warn("Error reading the TWAP, skipping the TWAP check", { pool: pool.name, error: error.shortMessage || error.message });
+  }
+};
+
+// Load the quarantine log and keep every pool's TWAP current; returns the refresh timer, if any
+export const startTickValidation = async (provider, pools) => {
+  if (await fs.pathExists(quarantinePath)) {
+    quarantine = (await fs.readJson(quarantinePath)).ticks || [];
+  }
+
+  if (!tickValidation.enabled) {
+    log.info("Tick validation is disabled");
+    return null;
+  }
+
+  let refreshing = null;
+  if (tickValidation.twapWindow > 0) {
+    await Promise.all(pools.map(pool => refreshTwap(provider, pool)));
+    refreshing = setInterval(() => pools.forEach(pool => refreshTwap(provider, pool)), tickValidation.twapRefreshInterval);
+  }
+
+  log.info("Validating ticks", { quarantined: quarantine.filter(entry => entry.status === "quarantined").length });
+  return refreshing;
+};
+
+// Quarantined ticks, newest first: ?pool, ?status and ?limit
+export const getQuarantine = ({ pool = null, status = null, limit = 100 } = {}) => quarantine
+  .filter(entry => (!pool || entry.pool.toLowerCase() === pool.address.toLowerCase()) && (!status || entry.status === status))
+  .slice(-limit)
+  .reverse();
+
+export const getQuarantined = (id) => quarantine.find(entry => entry.id === id) || null;
+
+// Release a quarantined tick into its pool's data. A tick newer than the pool's latest is
+// recorded like a live tick; an older one is folded into history and candles in place and
+// the pool snapshotted, since the store's log replays ticks in arrival order.
+export const releaseTick = async (entry) => {
+  if (entry.status !== "quarantined") return { error: `Tick was already ${entry.status}` };
+
+  const pool = getPool(entry.pool);
+  if (!pool) return { error: "Pool is no longer tracked", provided: entry.pool };
+
+  const { priceData } = pool;
+  if (priceData.lastUpdated === null || entry.tick.timestamp >= priceData.lastUpdated) {
+    applyRecord(pool, entry.tick, entry.exact);
+  } else {
+    insertTick(priceData, entry.tick);
+    invalidateCandleCache(priceData);
+    await savePoolData(pool);
+  }
+
+  entry.status = "released";
+  entry.releasedAt = Date.now();
+  await saveQuarantine();
+  return entry;
+};
+
+// Drop a tick from the quarantine log for good
+export const purgeTick = async (entry) => {
+  quarantine = quarantine.filter(other => other !== entry);
+  await saveQuarantine();
+};
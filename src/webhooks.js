@@ -0,0 +1,159 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import { isIP } from "net";
+import { lookup } from "dns/promises";
+import { webhookTimeout, webhookRetries, webhookBackoffBase } from "./config.js";
+
+// Webhook requests are POSTed as JSON and signed with the receiver's secret:
+//   X-Webhook-Timestamp   Unix time in milliseconds the request was signed at
+//   X-Webhook-Signature   "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>"
+// Signing the timestamp lets receivers reject replayed requests.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Signature header value of a request body
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+
+// Check a received signature in constant time
+export const verifySignature = (secret, timestamp, body, signature) => {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ""));
+  return expected.length === received.length && timingSafeEqual(expected, received);
+};
+
+// The eight 16-bit groups of an IPv6 address, with a trailing dotted IPv4 part as the last two
+const ipv6Groups = (address) => {
+  let text = address;
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split("::");
+  const groups = (part) => part ? part.split(":").map(group => parseInt(group, 16)) : [];
+  const front = groups(head);
+  const back = groups(tail);
+  return [...front, ...Array(8 - front.length - back.length).fill(0), ...back];
+};
+
+// Unspecified, "this network", private, shared (carrier-grade NAT), loopback, link-local,
+// multicast and reserved IPv4 addresses
+const isPrivateIPv4 = (address) => {
+  const [a, b] = address.split(".").map(Number);
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 100 && b >= 64 && b <= 127) || (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+};
+
+// Whether an IP address is one a webhook owned by an API key may not reach. IPv6 addresses
+// embedding an IPv4 one (IPv4-mapped ::ffff:a.b.c.d, IPv4-compatible ::a.b.c.d and NAT64
+// 64:ff9b::a.b.c.d, in dotted or hex form) are judged by that address.
+export const isPrivateAddress = (address) => {
+  const host = address.replace(/^\[|\]$/g, "").replace(/%.*$/, "").toLowerCase();
+  if (isIP(host) === 4) return isPrivateIPv4(host);
+  if (isIP(host) !== 6) return false;
+
+  const groups = ipv6Groups(host);
+  const embedsIPv4 = groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0 || groups[5] === 0xffff) ||
+    (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0));
+  if (embedsIPv4) {
+    return isPrivateIPv4([groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join("."));
+  }
+  // Unique local fc00::/7, link-local fe80::/10, site-local fec0::/10 and multicast ff00::/8
+  return (groups[0] & 0xfe00) === 0xfc00 || (groups[0] & 0xffc0) === 0xfe80 ||
+    (groups[0] & 0xffc0) === 0xfec0 || (groups[0] & 0xff00) === 0xff00;
+};
+
+// Whether a URL hostname is local by name or a private address, as checked when a rule is saved
+export const isPrivateHost = (hostname) => {
+  const host = hostname.toLowerCase();
+  return host === "localhost" || host.endsWith(".localhost") || isPrivateAddress(host);
+};
+
+// Resolve a URL's hostname and return why it may not be posted to, or null when every
+// address it resolves to is public. Names are resolved on each attempt, as they may since
+// have been pointed at a private address.
+const checkTarget = async (url) => {
+  const { hostname } = new URL(url);
+  if (isIP(hostname.replace(/^\[|\]$/g, ""))) {
+    return isPrivateAddress(hostname) ? `${hostname} is a private address` : null;
+  }
+
+  const addresses = await lookup(hostname, { all: true, verbatim: true });
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  return blocked ? `${hostname} resolves to the private address ${blocked.address}` : null;
+};
+
+// Statuses worth retrying; other 4xx responses would be refused the same way again
+const isRetryableStatus = (status) => status >= 500 || status === 408 || status === 429;
+
+// POST a payload once, resolving to { status, error, final } of the attempt; final is set
+// when retrying cannot help. Redirects are not followed, since they could lead anywhere.
+const attempt = async (url, secret, delivery, body, allowPrivate) => {
+  const timestamp = Date.now();
+
+  try {
+    if (!allowPrivate) {
+      const refused = await checkTarget(url);
+      if (refused) return { status: null, error: `Not sent: ${refused}`, final: true };
+    }
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "price-alerts",
+        "X-Webhook-Id": delivery.id,
+        "X-Webhook-Event": delivery.event.type,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": signPayload(secret, timestamp, body)
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(webhookTimeout)
+    });
+    await response.arrayBuffer().catch(() => {}); // Release the connection
+
+    if (response.status >= 300 && response.status < 400) {
+      return { status: response.status, error: `HTTP ${response.status}: redirects are not followed`, final: true };
+    }
+    return { status: response.status, error: response.ok ? null : `HTTP ${response.status}`, final: !isRetryableStatus(response.status) };
+  } catch (error) {
+    return { status: null, error: error.name === "TimeoutError" ? `Timed out after ${webhookTimeout}ms` : error.message };
+  }
+};
+
+// Deliver a delivery record's event, retrying with exponential backoff on network errors,
+// timeouts and retryable statuses. Every attempt is recorded on the delivery, with the
+// backoff before the next one in retryIn, and the delivery's status ends "delivered" or
+// "failed"; onChange is called after each attempt. Unless allowPrivate
+// is set, a URL resolving to a private address fails without being sent.
+export const sendWebhook = async (delivery, secret, onChange = () => {}, { allowPrivate = true } = {}) => {
+  const body = JSON.stringify(delivery.event);
+
+  while (delivery.status === "pending") {
+    const started = Date.now();
+    const { status, error, final } = await attempt(delivery.url, secret, delivery, body, allowPrivate);
+
+    const record = { at: started, status, error, duration: Date.now() - started, retryIn: null };
+    delivery.attempts.push(record);
+
+    if (!error) {
+      delivery.status = "delivered";
+      delivery.deliveredAt = Date.now();
+    } else if (final || delivery.attempts.length > webhookRetries) {
+      delivery.status = "failed";
+    } else {
+      record.retryIn = webhookBackoffBase * 2 ** (delivery.attempts.length - 1);
+    }
+
+    onChange(delivery);
+
+    if (delivery.status === "pending") {
+      await sleep(record.retryIn);
+    }
+  }
+
+  return delivery;
+};
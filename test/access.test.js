@@ -0,0 +1,86 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import express from "express";
+import fs from "fs-extra";
+
+// An access config with a basic tier of 5 requests a minute per key and 2 per address, and
+// client addresses taken from X-Forwarded-For
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "access-test-"));
+await fs.writeJson(path.join(dir, "access.json"), {
+  tiers: { basic: { limit: 5, ipLimit: 2, window: "1m" }, anonymous: { limit: 3, window: "1m" } },
+  keys: [
+    { name: "shared", tier: "basic", key: "key-1" },
+    { name: "other", tier: "basic", key: "key-2" },
+    { name: "third", tier: "basic", key: "key-3" }
+  ],
+  trustProxy: true
+});
+process.env.LOG_LEVEL = "error";
+const { loadAccessConfig, limitRequests } = await import("../src/access.js");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const access = await loadAccessConfig(path.join(dir, "access.json"));
+  const app = express();
+  app.set("trust proxy", access.trustProxy);
+  app.use(limitRequests);
+  app.get("/", (req, res) => res.json({ client: req.apiClient.name }));
+
+  server = app.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/`;
+});
+
+after(async () => {
+  server.close();
+  await fs.remove(dir);
+});
+
+const request = async (ip, key = null) => {
+  const headers = { "X-Forwarded-For": ip };
+  if (key) headers["X-API-Key"] = key;
+  const response = await fetch(baseUrl, { headers });
+  return {
+    status: response.status,
+    limit: response.headers.get("ratelimit-limit"),
+    remaining: response.headers.get("ratelimit-remaining"),
+    body: await response.json()
+  };
+};
+
+test("a key is limited per address as well as in total, with the headers of the tighter limit", async () => {
+  const first = await request("203.0.113.1", "key-1");
+  assert.deepEqual([first.status, first.limit, first.remaining], [200, "2", "1"]);
+
+  await request("203.0.113.1", "key-1");
+  const limited = await request("203.0.113.1", "key-1");
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.per, "address");
+  assert.equal(limited.body.limit, 2);
+
+  // Other addresses still have their own allowance, until the key's total runs out
+  const second = await request("203.0.113.2", "key-1");
+  assert.deepEqual([second.status, second.limit, second.remaining], [200, "5", "1"]);
+  const third = await request("203.0.113.3", "key-1");
+  assert.deepEqual([third.status, third.limit, third.remaining], [200, "5", "0"]);
+
+  const exhausted = await request("203.0.113.4", "key-1");
+  assert.equal(exhausted.status, 429);
+  assert.equal(exhausted.body.per, "key");
+  assert.equal(exhausted.body.limit, 5);
+});
+
+test("an address is counted across keys, and separately from its requests without a key", async () => {
+  await request("198.51.100.1", "key-2");
+  await request("198.51.100.1", "key-3");
+  const limited = await request("198.51.100.1", "key-3");
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.per, "address");
+
+  const anonymous = await request("198.51.100.1");
+  assert.deepEqual([anonymous.status, anonymous.limit, anonymous.remaining], [200, "3", "2"]);
+});
@@ -0,0 +1,96 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import os from "os";
+import path from "path";
+import fs from "fs-extra";
+
+// The config is read on import: keep the rules and delivery log out of the tree
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "alerts-test-"));
+await fs.writeJson(path.join(dir, "config.json"), { dataDir: dir, webhookBackoffBase: 20 });
+await fs.writeJson(path.join(dir, "pools.json"), {
+  pools: [{ address: "0x000000000000000000000000000000000000000a", name: "TEST" }]
+});
+process.env.CONFIG_FILE = path.join(dir, "config.json");
+process.env.LOG_LEVEL = "error";
+const { createRule, deleteRule, listRules, getDeliveries, startAlerts, keyOwner } = await import("../src/alerts.js");
+const { loadPoolRegistry } = await import("../src/pools.js");
+const { publishTick } = await import("../src/stream.js");
+const { verifySignature } = await import("../src/webhooks.js");
+
+const HOUR = 60 * 60 * 1000;
+
+// A local webhook receiver keeping every request it received
+const requests = [];
+const receiver = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => { body += chunk; });
+  req.on("end", () => {
+    requests.push({ headers: req.headers, body });
+    res.writeHead(204).end();
+  });
+});
+
+let webhookUrl;
+let timer;
+let pool;
+
+before(async () => {
+  await new Promise(resolve => receiver.listen(0, "127.0.0.1", resolve));
+  webhookUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+  [pool] = await loadPoolRegistry(path.join(dir, "pools.json"));
+  timer = await startAlerts([pool]);
+});
+
+after(async () => {
+  clearInterval(timer);
+  // Deleting waits for the writes of the delivery log queued before it
+  for (const { id } of [...listRules()]) await deleteRule(id);
+  receiver.close();
+  await fs.remove(dir);
+});
+
+// Wait until no delivery is pending
+const settle = async () => {
+  while (getDeliveries({ status: "pending" }).length > 0) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+test("API keys cannot create rules posting to private addresses in any form", async () => {
+  const owner = keyOwner({ name: "key", hash: "hash" });
+
+  for (const url of ["http://[::ffff:127.0.0.1]/", "http://[::127.0.0.1]/", "http://100.64.0.1/", "http://localhost/"]) {
+    const rule = await createRule({ type: "stale", condition: { seconds: 60 }, webhook: { url } }, owner);
+    assert.match(rule.error, /local or private address/, url);
+  }
+});
+
+test("a percent change fires once while it holds, re-arms when it clears, and cooldown holds back a refire", async () => {
+  const body = {
+    type: "percent_change",
+    pool: "TEST",
+    condition: { percent: 10, window: "1h", direction: "up" },
+    webhook: { url: webhookUrl }
+  };
+  const rearming = await createRule(body);
+  const cooling = await createRule({ ...body, cooldown: 3600 });
+
+  // The reference price an hour before every tick is 1
+  pool.priceData.history.push({ timestamp: Date.now() - 2 * HOUR, price: 1 });
+  [1.2, 1.3, 1.25, 1.05, 1.2].forEach(price => publishTick(pool, { timestamp: Date.now(), price }, {}));
+  await settle();
+
+  assert.equal(rearming.triggerCount, 2);
+  assert.equal(cooling.triggerCount, 1);
+  assert.equal(getDeliveries({ ruleId: rearming.id }).length, 2);
+  assert.equal(getDeliveries({ ruleId: cooling.id }).length, 1);
+  assert.equal(requests.length, 3);
+
+  const { headers, body: sent } = requests[0];
+  const event = JSON.parse(sent);
+  assert.equal(event.type, "alert.triggered");
+  const secret = event.rule.id === rearming.id ? rearming.webhook.secret : cooling.webhook.secret;
+  assert.equal(verifySignature(secret, headers["x-webhook-timestamp"], sent, headers["x-webhook-signature"]), true);
+});
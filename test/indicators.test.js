@@ -0,0 +1,158 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.LOG_LEVEL = "error";
+const { indicators, parseIndicatorParams, getIndicator } = await import("../src/indicators.js");
+const { createPriceData } = await import("../src/pools.js");
+const { parseResolution } = await import("../src/units.js");
+const { defaultTimeZone } = await import("../src/calendar.js");
+
+const resolution = parseResolution("5m");
+const start = Date.UTC(2024, 0, 1);
+
+// 5m candles of a price wandering around 100
+const createCandles = (count) => Array.from({ length: count }, (_, i) => {
+  const close = 100 + 10 * Math.sin(i / 3) + i % 4;
+  const open = 100 + 10 * Math.sin((i - 1) / 3) + (i + 3) % 4;
+  return {
+    timestamp: start + i * resolution.ms,
+    open,
+    high: Math.max(open, close) + 1 + i % 3,
+    low: Math.min(open, close) - 1 - i % 2,
+    close,
+    volume: 1 + i % 5
+  };
+});
+
+// Points of an indicator over candles, without the cache
+const compute = (name, params, candles) => {
+  const points = [];
+  let state;
+  candles.forEach((candle, i) => {
+    const step = indicators[name].step(candles, i, params, i > 0 ? state : undefined, defaultTimeZone);
+    state = step.state;
+    points.push(step.point);
+  });
+  return points;
+};
+
+const params = (name, query = {}) => parseIndicatorParams(indicators[name], query);
+const values = (points) => points.map(point => point && point.value);
+const closes = (candles) => candles.map(({ close }) => close);
+
+// Reference series computed directly from their definitions
+const referenceSma = (prices, period) => prices.map((_, i) => i < period - 1 ? null
+  : prices.slice(i - period + 1, i + 1).reduce((sum, price) => sum + price, 0) / period);
+
+const referenceEma = (prices, period) => {
+  const ema = [];
+  prices.forEach((price, i) => {
+    if (i < period - 1) ema.push(null);
+    else if (i === period - 1) ema.push(referenceSma(prices, period)[i]);
+    else ema.push(ema[i - 1] + (price - ema[i - 1]) * 2 / (period + 1));
+  });
+  return ema;
+};
+
+const referenceRsi = (prices, period) => {
+  const changes = prices.slice(1).map((price, i) => price - prices[i]);
+  const rsi = [null];
+  let gain = 0;
+  let loss = 0;
+  changes.forEach((change, i) => {
+    if (i < period) {
+      gain += Math.max(change, 0) / period;
+      loss += Math.max(-change, 0) / period;
+    } else {
+      gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+      loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    }
+    rsi.push(i < period - 1 ? null : 100 - 100 / (1 + gain / loss));
+  });
+  return rsi;
+};
+
+const assertClose = (actual, expected) => {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((value, i) => {
+    if (expected[i] === null) assert.equal(value, null, `point ${i}`);
+    else assert.ok(Math.abs(value - expected[i]) < 1e-9, `point ${i}: ${value} is not ${expected[i]}`);
+  });
+};
+
+test("each indicator's first point is at its warm-up index", () => {
+  const candles = createCandles(60);
+  const expected = { sma: 4, ema: 4, rsi: 5, bollinger: 4, atr: 4, vwap: 0 };
+
+  Object.entries(expected).forEach(([name, index]) => {
+    const indicatorParams = params(name, name === "vwap" ? {} : { period: "5" });
+    const points = compute(name, indicatorParams, candles);
+
+    assert.equal(indicators[name].warmup(indicatorParams), index, name);
+    assert.equal(points.findIndex(point => point !== null), index, name);
+    assert.equal(points.slice(index).every(point => point !== null), true, name);
+  });
+});
+
+test("SMA, EMA, RSI, Bollinger Bands and ATR match their definitions", () => {
+  const candles = createCandles(60);
+  const prices = closes(candles);
+
+  assertClose(values(compute("sma", params("sma", { period: "7" }), candles)), referenceSma(prices, 7));
+  assertClose(values(compute("ema", params("ema", { period: "7" }), candles)), referenceEma(prices, 7));
+  assertClose(values(compute("rsi", params("rsi", { period: "7" }), candles)), referenceRsi(prices, 7));
+
+  const bands = compute("bollinger", params("bollinger", { period: "7", stdDev: "2" }), candles);
+  const sma = referenceSma(prices, 7);
+  assertClose(bands.map(point => point && point.middle), sma);
+  bands.slice(6).forEach((point, i) => {
+    const window = prices.slice(i, i + 7);
+    const stdDev = Math.sqrt(window.reduce((sum, price) => sum + (price - sma[i + 6]) ** 2, 0) / 7);
+    assert.ok(Math.abs(point.upper - (sma[i + 6] + 2 * stdDev)) < 1e-9);
+    assert.ok(Math.abs(point.lower - (sma[i + 6] - 2 * stdDev)) < 1e-9);
+  });
+
+  const ranges = candles.map((candle, i) => i === 0 ? candle.high - candle.low
+    : Math.max(candle.high - candle.low, Math.abs(candle.high - candles[i - 1].close), Math.abs(candle.low - candles[i - 1].close)));
+  const atr = [];
+  ranges.forEach((range, i) => {
+    if (i < 6) atr.push(null);
+    else if (i === 6) atr.push(ranges.slice(0, 7).reduce((sum, value) => sum + value, 0) / 7);
+    else atr.push((atr[i - 1] * 6 + range) / 7);
+  });
+  assertClose(values(compute("atr", params("atr", { period: "7" }), candles)), atr);
+});
+
+test("a cached series updated after the last candle changed in place matches one computed from scratch", () => {
+  ["sma", "ema", "rsi", "vwap", "bollinger", "atr"].forEach(name => {
+    const indicatorParams = params(name);
+    const priceData = createPriceData();
+    priceData.ohlc["5m"] = createCandles(50);
+    getIndicator(priceData, name, indicatorParams, resolution, defaultTimeZone);
+
+    // A live tick moves the last candle, then another opens a new one
+    const series = priceData.ohlc["5m"];
+    const last = series[series.length - 1];
+    Object.assign(last, { close: last.close + 7, high: last.high + 7, volume: last.volume + 3 });
+    getIndicator(priceData, name, indicatorParams, resolution, defaultTimeZone);
+    series.push({ ...createCandles(51)[50] });
+    const { points } = getIndicator(priceData, name, indicatorParams, resolution, defaultTimeZone);
+
+    assert.deepEqual(points, compute(name, indicatorParams, series.map(candle => ({ ...candle }))), name);
+  });
+});
+
+test("VWAP restarts at every anchor boundary", () => {
+  const candles = createCandles(30);
+  const points = values(compute("vwap", params("vwap", { anchor: "1h" }), candles));
+  const typical = (candle) => (candle.high + candle.low + candle.close) / 3;
+
+  candles.forEach((candle, i) => {
+    const sessionStart = i - i % 12;
+    const session = candles.slice(sessionStart, i + 1);
+    const expected = session.reduce((sum, item) => sum + typical(item) * item.volume, 0) /
+      session.reduce((sum, item) => sum + item.volume, 0);
+    assert.ok(Math.abs(points[i] - expected) < 1e-9, `point ${i}`);
+  });
+  assert.ok(Math.abs(points[12] - typical(candles[12])) < 1e-9);
+});
@@ -0,0 +1,123 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { Interface, zeroPadValue } from "ethers";
+import IUniswapV3PoolABI from "../artifacts/IUniswapV3PoolAbi.json" with { type: "json" };
+
+const poolInterface = new Interface(IUniswapV3PoolABI.abi);
+const Q96 = 2n ** 96n;
+
+// A mock JSON-RPC endpoint answering eth_blockNumber and slot0 calls, or failing every
+// request with HTTP 503 while down. Every method it was asked is kept in calls.
+const startEndpoint = async ({ down = false, sqrtPriceX96 = Q96 } = {}) => {
+  const endpoint = { calls: [], down, sqrtPriceX96 };
+
+  const answer = ({ id, method }) => {
+    endpoint.calls.push(method);
+    if (method === "eth_blockNumber") return { jsonrpc: "2.0", id, result: "0x10" };
+    if (method === "eth_call") {
+      const result = poolInterface.encodeFunctionResult("slot0", [endpoint.sqrtPriceX96, 0, 0, 1, 1, 0, true]);
+      return { jsonrpc: "2.0", id, result };
+    }
+    return { jsonrpc: "2.0", id, error: { code: -32601, message: `Method not found: ${method}` } };
+  };
+
+  endpoint.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      if (endpoint.down) {
+        res.writeHead(503).end();
+        return;
+      }
+      const payload = JSON.parse(body);
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+    });
+  });
+
+  await new Promise(resolve => endpoint.server.listen(0, "127.0.0.1", resolve));
+  endpoint.url = `http://127.0.0.1:${endpoint.server.address().port}`;
+  return endpoint;
+};
+
+const down = await startEndpoint({ down: true });
+const first = await startEndpoint();
+const second = await startEndpoint();
+
+// A port nothing listens on
+const closed = await startEndpoint();
+await new Promise(resolve => closed.server.close(resolve));
+
+// The config is read on import: quorum reads go to two of the three endpoints
+process.env.RPC_URLS = [down.url, first.url, second.url].join(",");
+process.env.RPC_QUORUM = "2";
+process.env.LOG_LEVEL = "error";
+const { createRpcProvider, sendToEndpoints, getEndpointHealth } = await import("../src/rpc.js");
+const { fetchLatestPrice } = await import("../src/poller.js");
+const { createPoolStatus } = await import("../src/pools.js");
+
+const providers = [];
+const provider = (urls) => {
+  const created = createRpcProvider(urls);
+  providers.push(created);
+  return created;
+};
+
+after(() => {
+  providers.forEach(created => created.destroy());
+  [down, first, second].forEach(({ server }) => server.close());
+});
+
+test("a failed request moves on to the next endpoint, which stays current", async () => {
+  const failover = provider([down.url, first.url]);
+
+  assert.equal(await failover.getBlockNumber(), 16);
+
+  const [benched, current] = getEndpointHealth(failover);
+  assert.equal(benched.failures, 1);
+  assert.equal(benched.current, false);
+  assert.equal(current.current, true);
+  assert.equal(current.requests, 1);
+});
+
+test("the network is not detected, so a request fails once every endpoint has", async () => {
+  const unreachable = provider([down.url, closed.url]);
+
+  await assert.rejects(unreachable.getBlockNumber());
+  assert.equal(getEndpointHealth(unreachable).every(endpoint => endpoint.requests > 0), true);
+  assert.equal([down, first, second].some(({ calls }) => calls.includes("eth_chainId")), false);
+});
+
+test("a quorum read replaces a failed endpoint with the next one", async () => {
+  const quorum = provider([down.url, first.url, second.url]);
+  const call = { to: zeroPadValue("0x0a", 20), data: poolInterface.encodeFunctionData("slot0") };
+
+  const results = await sendToEndpoints(quorum, "eth_call", [call, "latest"], 2);
+  assert.equal(results.length, 2);
+
+  await assert.rejects(sendToEndpoints(quorum, "eth_call", [call, "latest"], 3), /Only 2 of the 3/);
+});
+
+test("slot0 prices are taken from the quorum and rejected when the endpoints disagree", async () => {
+  const quorum = provider([first.url, second.url]);
+  const pool = {
+    address: zeroPadValue("0x0a", 20),
+    name: "TEST",
+    base: "token0",
+    tokens: {
+      token0: { symbol: "AAA", decimals: 18 },
+      token1: { symbol: "BBB", decimals: 18 }
+    },
+    status: createPoolStatus()
+  };
+
+  first.sqrtPriceX96 = 2n * Q96;
+  second.sqrtPriceX96 = 2n * Q96;
+  const quote = await fetchLatestPrice(quorum, pool);
+  assert.equal(quote.price, "4");
+
+  second.sqrtPriceX96 = 3n * Q96;
+  assert.equal(await fetchLatestPrice(quorum, pool), null);
+  assert.match(pool.status.lastError, /disagree/);
+});
@@ -0,0 +1,99 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs-extra";
+
+// The config is read on import: keep every store out of the tree
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "storage-test-"));
+await fs.writeJson(path.join(dir, "config.json"), { dataDir: dir });
+process.env.CONFIG_FILE = path.join(dir, "config.json");
+process.env.LOG_LEVEL = "error";
+const { parseSegment, createLogStore, createJsonFileStore } = await import("../src/storage.js");
+const { loadPoolRegistry, loadPoolData } = await import("../src/pools.js");
+
+after(() => fs.remove(dir));
+
+const record = (price, timestamp = Date.now()) => ({ tick: { price, timestamp }, exact: { price: String(price), inversePrice: String(1 / price) } });
+
+test("parseSegment skips a torn last line but not a corrupt earlier one", () => {
+  const lines = [JSON.stringify(record(1, 1)), JSON.stringify(record(2, 2))];
+
+  assert.deepEqual(parseSegment(`${lines.join("\n")}\n{"tick":{"pri`, "segment").map(({ tick }) => tick.price), [1, 2]);
+  assert.throws(() => parseSegment(`${lines[0]}\n{"tick"\n${lines[1]}\n`, "segment"), /Corrupt record on line 2 of segment/);
+});
+
+test("load returns the snapshot and replays the records appended after it", async () => {
+  const storeDir = path.join(dir, "replay");
+  const store = createLogStore(storeDir);
+  assert.equal(await store.isEmpty(), true);
+
+  store.append(record(1, 1));
+  await store.snapshot({ history: [record(1, 1).tick] });
+  store.append(record(2, 2));
+  store.append(record(3, 3));
+
+  const { state, entries } = await createLogStore(storeDir).load();
+  assert.deepEqual(state.history.map(({ price }) => price), [1]);
+  assert.deepEqual(entries.map(({ tick }) => tick.price), [2, 3]);
+  assert.equal(await store.isEmpty(), false);
+});
+
+test("a snapshot holds the state as of the call and drops the segments it covers", async () => {
+  const storeDir = path.join(dir, "rotate");
+  const store = createLogStore(storeDir);
+  const state = { history: [] };
+
+  store.append(record(1, 1));
+  state.history.push(record(1, 1).tick);
+  const first = store.snapshot(state);
+
+  // Recorded while the snapshot is still being written: not part of it, so it must survive
+  store.append(record(2, 2));
+  state.history.push(record(2, 2).tick);
+  await first;
+
+  const segments = (await fs.readdir(storeDir)).filter(file => file.startsWith("segment-"));
+  assert.deepEqual(segments, ["segment-000001.jsonl"]);
+
+  const { state: loaded, entries } = await createLogStore(storeDir).load();
+  assert.deepEqual(loaded.history.map(({ price }) => price), [1]);
+  assert.deepEqual(entries.map(({ tick }) => tick.price), [2]);
+
+  await store.snapshot(state);
+  assert.deepEqual((await fs.readdir(storeDir)).filter(file => file.startsWith("segment-")), ["segment-000002.jsonl"]);
+});
+
+test("the JSON file store keeps only snapshots", async () => {
+  const filePath = path.join(dir, "state.json");
+  const store = createJsonFileStore(filePath);
+  assert.equal(await store.isEmpty(), true);
+
+  const state = { history: [record(1, 1).tick] };
+  const saving = store.snapshot(state);
+  state.history.push(record(2, 2).tick);
+  await saving;
+  store.append(record(3, 3));
+
+  assert.deepEqual(await store.load(), { state: { history: [record(1, 1).tick] }, entries: [] });
+});
+
+test("a legacy data file is imported on the first load only", async () => {
+  const legacyFile = path.join(dir, "legacy.json");
+  const start = Date.now() - 60 * 1000;
+  await fs.writeJson(legacyFile, { history: [{ price: 1, timestamp: start }], ohlc: {} });
+  await fs.writeJson(path.join(dir, "pools.json"), {
+    pools: [{ address: "0x000000000000000000000000000000000000000a", name: "TEST", dataFile: legacyFile }]
+  });
+
+  const [pool] = await loadPoolRegistry(path.join(dir, "pools.json"));
+  await loadPoolData(pool);
+  assert.deepEqual(pool.priceData.history.map(({ price }) => price), [1]);
+  pool.store.append(record(2, start + 1000));
+
+  // The legacy file changing afterwards is not imported again
+  await fs.writeJson(legacyFile, { history: [{ price: 1, timestamp: start }, { price: 5, timestamp: start + 500 }], ohlc: {} });
+  const [reloaded] = await loadPoolRegistry(path.join(dir, "pools.json"));
+  await loadPoolData(reloaded);
+  assert.deepEqual(reloaded.priceData.history.map(({ price }) => price), [1, 2]);
+});
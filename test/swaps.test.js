@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Interface, parseUnits, zeroPadValue } from "ethers";
+import IUniswapV3PoolABI from "../artifacts/IUniswapV3PoolAbi.json" with { type: "json" };
+
+// Quiet the ingestion log lines while testing
+process.env.LOG_LEVEL = "error";
+const { decodeSwapLog, fetchSwapLogs, pollSwaps } = await import("../src/swaps.js");
+const { createPriceData, createPoolStatus } = await import("../src/pools.js");
+const { getHeldTicks } = await import("../src/validation.js");
+
+const poolInterface = new Interface(IUniswapV3PoolABI.abi);
+const Q96 = 2n ** 96n;
+const account = zeroPadValue("0x01", 20);
+
+// A pool of two 18-decimal tokens priced in token1, with an in-memory store
+const createPool = () => ({
+  address: zeroPadValue("0x0a", 20),
+  name: "TEST",
+  base: "token0",
+  tokens: {
+    token0: { address: zeroPadValue("0x0b", 20), symbol: "AAA", decimals: 18 },
+    token1: { address: zeroPadValue("0x0c", 20), symbol: "BBB", decimals: 18 }
+  },
+  lastBlock: null,
+  lastSwap: null,
+  priceData: createPriceData(),
+  status: createPoolStatus(),
+  store: { append: () => {} }
+});
+
+// A Swap log as eth_getLogs returns it
+const swapLog = ({ amount0, amount1, sqrtPriceX96 = Q96, blockNumber, index = 0 }) => ({
+  ...poolInterface.encodeEventLog("Swap", [account, account, amount0, amount1, sqrtPriceX96, 10n ** 18n, 0]),
+  blockNumber,
+  index
+});
+
+// A provider answering from fixed logs and block times, recording the getLogs ranges asked for
+const createProvider = ({ head, logs = [], blockTime = () => 1700000000 }) => {
+  const ranges = [];
+  return {
+    ranges,
+    getBlockNumber: async () => head,
+    getBlock: async (blockNumber) => ({ number: blockNumber, timestamp: blockTime(blockNumber) }),
+    getLogs: async ({ fromBlock, toBlock }) => {
+      ranges.push([fromBlock, toBlock]);
+      return logs.filter(({ blockNumber }) => blockNumber >= fromBlock && blockNumber <= toBlock);
+    }
+  };
+};
+
+test("decodeSwapLog reads the price and absolute traded amounts of the base and quote tokens", () => {
+  const pool = createPool();
+  const log = swapLog({ amount0: parseUnits("-2.5", 18), amount1: parseUnits("10", 18), sqrtPriceX96: 2n * Q96, blockNumber: 7, index: 3 });
+
+  const { quote, trade } = decodeSwapLog(pool, log);
+
+  assert.equal(quote.price, "4");
+  assert.equal(quote.inversePrice, "0.25");
+  assert.deepEqual(trade, { baseVolume: 2.5, quoteVolume: 10, blockNumber: 7, logIndex: 3 });
+
+  const { trade: inverted } = decodeSwapLog({ ...pool, base: "token1" }, log);
+  assert.equal(inverted.baseVolume, 10);
+  assert.equal(inverted.quoteVolume, 2.5);
+});
+
+test("fetchSwapLogs splits a block range into chunks of at most chunkSize blocks", async () => {
+  const provider = createProvider({ head: 0 });
+
+  await fetchSwapLogs(provider, createPool(), 100, 349, 100);
+
+  assert.deepEqual(provider.ranges, [[100, 199], [200, 299], [300, 349]]);
+});
+
+test("pollSwaps starts at the chain head, then adds new swaps to history and candle volume", async () => {
+  const pool = createPool();
+  const logs = [
+    swapLog({ amount0: parseUnits("1", 18), amount1: parseUnits("-1", 18), blockNumber: 101 }),
+    swapLog({ amount0: parseUnits("-3", 18), amount1: parseUnits("3", 18), blockNumber: 102, index: 1 })
+  ];
+
+  assert.equal(await pollSwaps(createProvider({ head: 100, logs }), pool), 0);
+  assert.equal(pool.lastBlock, 100);
+
+  const provider = createProvider({ head: 102, logs, blockTime: (blockNumber) => 1700000000 + blockNumber });
+  assert.equal(await pollSwaps(provider, pool), 2);
+  assert.equal(pool.lastBlock, 102);
+
+  const { history, ohlc } = pool.priceData;
+  assert.deepEqual(history.map(({ baseVolume, quoteVolume }) => [baseVolume, quoteVolume]), [[1, 1], [3, 3]]);
+
+  const [candle] = ohlc["5m"];
+  assert.equal(ohlc["5m"].length, 1);
+  assert.equal(candle.volume, 4);
+  assert.equal(candle.quoteVolume, 4);
+  assert.equal(candle.trades, 2);
+  assert.equal(candle.close, 1);
+});
+
+test("a poll that failed part way is scanned again without counting its recorded swaps twice", async () => {
+  const pool = createPool();
+  const logs = [
+    swapLog({ amount0: parseUnits("1", 18), amount1: parseUnits("-1", 18), blockNumber: 101 }),
+    swapLog({ amount0: parseUnits("2", 18), amount1: parseUnits("-2", 18), blockNumber: 101, index: 1 }),
+    swapLog({ amount0: parseUnits("4", 18), amount1: parseUnits("-4", 18), blockNumber: 102 })
+  ];
+  await pollSwaps(createProvider({ head: 100 }), pool);
+
+  // The store fails on the second swap, e.g. with a full disk
+  let appends = 0;
+  pool.store.append = () => {
+    appends += 1;
+    if (appends === 2) throw new Error("ENOSPC: no space left on device");
+  };
+
+  const provider = createProvider({ head: 102, logs });
+  await assert.rejects(pollSwaps(provider, pool), /ENOSPC/);
+  assert.equal(pool.lastBlock, 100);
+
+  assert.equal(await pollSwaps(provider, pool), 3);
+  assert.deepEqual(pool.priceData.history.map(({ baseVolume }) => baseVolume), [1, 2, 4]);
+  assert.equal(pool.priceData.ohlc["5m"][0].volume, 7);
+});
+
+test("a poll whose swaps are all held for confirmation succeeds without a latest price", async () => {
+  const pool = createPool();
+  pool.priceData.history = Array.from({ length: 5 }, (_, i) => ({ price: 1, timestamp: 1700000000000 + i }));
+  await pollSwaps(createProvider({ head: 100 }), pool);
+
+  const logs = [swapLog({ amount0: parseUnits("-1", 18), amount1: parseUnits("4", 18), sqrtPriceX96: 2n * Q96, blockNumber: 101 })];
+  assert.equal(await pollSwaps(createProvider({ head: 101, logs }), pool), 1);
+
+  assert.equal(pool.lastBlock, 101);
+  assert.equal(pool.priceData.latestExact, null);
+  assert.equal(getHeldTicks(pool).length, 1);
+  assert.equal(pool.status.consecutiveFailures, 0);
+});
@@ -0,0 +1,142 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import express from "express";
+import fs from "fs-extra";
+import { Interface } from "ethers";
+import IUniswapV3PoolABI from "../artifacts/IUniswapV3PoolAbi.json" with { type: "json" };
+
+// The config is read on import: keep the pool's store and the quarantine and audit logs
+// out of the tree, and enable the admin API
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "validation-test-"));
+await fs.writeJson(path.join(dir, "config.json"), { dataDir: dir });
+await fs.writeJson(path.join(dir, "pools.json"), {
+  pools: [{ address: "0x000000000000000000000000000000000000000a", name: "TEST" }]
+});
+process.env.CONFIG_FILE = path.join(dir, "config.json");
+process.env.ADMIN_TOKEN = "admin-token";
+process.env.LOG_LEVEL = "error";
+const { startTickValidation, getHeldTicks, getQuarantine } = await import("../src/validation.js");
+const { recordPrice } = await import("../src/poller.js");
+const { loadPoolRegistry, loadPoolData } = await import("../src/pools.js");
+const { loadAccessConfig } = await import("../src/access.js");
+const { default: quarantineRouter } = await import("../src/routes/quarantine.js");
+
+const poolInterface = new Interface(IUniswapV3PoolABI.abi);
+
+let pool;
+let timer;
+let server;
+let baseUrl;
+
+// Ticks are swaps a second apart, so every applied one counts as a trade of its candle
+const start = Math.floor(Date.now() / 300000) * 300000 - 300000;
+let seconds = 0;
+const record = (price, blockNumber) => {
+  seconds += 1;
+  recordPrice(pool, { price: String(price), inversePrice: String(1 / price) }, start + seconds * 1000, {
+    baseVolume: 1,
+    quoteVolume: price,
+    blockNumber,
+    logIndex: 0
+  });
+};
+
+const prices = () => pool.priceData.history.map(({ price }) => price);
+
+before(async () => {
+  [pool] = await loadPoolRegistry(path.join(dir, "pools.json"));
+  pool.tokens = { token0: { symbol: "AAA", decimals: 18 }, token1: { symbol: "BBB", decimals: 18 } };
+
+  await loadAccessConfig(path.join(dir, "access.json"));
+  const app = express();
+  app.use(express.json());
+  app.use("/api/quarantine", quarantineRouter);
+  server = app.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/quarantine`;
+});
+
+after(async () => {
+  clearInterval(timer);
+  server.close();
+  await fs.remove(dir);
+});
+
+const admin = (url, method = "GET") => fetch(`${baseUrl}${url}`, { method, headers: { Authorization: "Bearer admin-token" } });
+
+// Defaults: 5 samples before the median applies, a 10% band, 3 confirmations and a 25%
+// band around the TWAP
+test("a spike beyond the median band is held until it has the confirmations, then applied with its held ticks", () => {
+  [1, 1, 1, 1, 1].forEach((price, i) => record(price, i + 1));
+
+  record(1.5, 10);
+  record(1.5, 11);
+  assert.deepEqual(prices(), [1, 1, 1, 1, 1]);
+  assert.equal(getHeldTicks(pool).length, 2);
+
+  record(1.5, 12);
+  assert.deepEqual(prices(), [1, 1, 1, 1, 1, 1.5, 1.5, 1.5]);
+  assert.equal(getHeldTicks(pool).length, 0);
+});
+
+test("a spike the price comes back from is quarantined", () => {
+  record(3, 13);
+  assert.equal(getHeldTicks(pool).length, 1);
+
+  record(1.5, 14);
+  assert.deepEqual(prices().slice(-2), [1.5, 1.5]);
+  const [entry] = getQuarantine({ pool });
+  assert.equal(entry.reason, "unconfirmed_deviation");
+  assert.equal(entry.tick.price, 3);
+});
+
+test("a tick too far from the TWAP is quarantined outright", async () => {
+  // observe() answers a mean tick of 4055 over the window, a TWAP of about 1.5
+  const provider = {
+    call: async () => poolInterface.encodeFunctionResult("observe", [[0n, 4055n * 300n], [0n, 0n]])
+  };
+  timer = await startTickValidation(provider, [pool]);
+
+  record(2.5, 15);
+  assert.equal(getHeldTicks(pool).length, 0);
+  assert.equal(prices().includes(2.5), false);
+
+  const [entry] = getQuarantine({ pool });
+  assert.equal(entry.reason, "twap_deviation");
+  assert.ok(Math.abs(entry.checks.twap - 1.5) < 0.001);
+});
+
+test("a released tick lands in history and candles exactly once, and a purged one is gone", async () => {
+  const [twapEntry, spikeEntry] = getQuarantine({ pool });
+
+  // The spike is older than the latest tick and is folded in; the TWAP tick is the newest
+  for (const entry of [spikeEntry, twapEntry]) {
+    const response = await admin(`/${entry.id}/release`, "POST");
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, "released");
+    assert.equal((await admin(`/${entry.id}/release`, "POST")).status, 409);
+  }
+
+  assert.equal(prices().filter(price => price === 3).length, 1);
+  assert.equal(prices().filter(price => price === 2.5).length, 1);
+  const timestamps = pool.priceData.history.map(({ timestamp }) => timestamp);
+  assert.deepEqual(timestamps, [...timestamps].sort((a, b) => a - b));
+
+  const [candle] = pool.priceData.ohlc["5m"];
+  assert.equal(pool.priceData.ohlc["5m"].length, 1);
+  assert.equal(candle.trades, pool.priceData.history.length);
+  assert.equal(candle.volume, pool.priceData.history.length);
+  assert.equal(candle.high, 3);
+  assert.equal(candle.close, 2.5);
+
+  assert.equal((await admin(`/${spikeEntry.id}`, "DELETE")).status, 204);
+  assert.equal((await admin(`/${spikeEntry.id}`)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/${twapEntry.id}`)).status, 401);
+
+  // The pool's store holds both released ticks once as well
+  const [reloaded] = await loadPoolRegistry(path.join(dir, "pools.json"));
+  await loadPoolData(reloaded);
+  assert.deepEqual(reloaded.priceData.history.map(({ price }) => price), prices());
+});
@@ -0,0 +1,152 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import os from "os";
+import path from "path";
+import fs from "fs-extra";
+
+// The config is read on import: retry quickly, and keep data files out of the tree
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "webhooks-test-"));
+await fs.writeJson(path.join(dir, "config.json"), { dataDir: dir, webhookRetries: 3, webhookBackoffBase: 20 });
+process.env.CONFIG_FILE = path.join(dir, "config.json");
+process.env.LOG_LEVEL = "error";
+const { sendWebhook, verifySignature, isPrivateHost, isPrivateAddress } = await import("../src/webhooks.js");
+
+// A local webhook receiver answering each request with the next of statuses (the last one
+// once they run out), keeping every request it received
+const startReceiver = async (statuses = [200], headers = {}) => {
+  const receiver = { requests: [] };
+  receiver.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.writeHead(statuses[Math.min(receiver.requests.length, statuses.length) - 1], headers).end();
+    });
+  });
+
+  await new Promise(resolve => receiver.server.listen(0, "127.0.0.1", resolve));
+  receiver.port = receiver.server.address().port;
+  receiver.url = `http://127.0.0.1:${receiver.port}/hook`;
+  return receiver;
+};
+
+const receivers = [];
+const receiver = async (...args) => {
+  const started = await startReceiver(...args);
+  receivers.push(started);
+  return started;
+};
+
+after(async () => {
+  receivers.forEach(({ server }) => server.close());
+  await fs.remove(dir);
+});
+
+const createDelivery = (url) => ({
+  id: "delivery-1",
+  ruleId: "rule-1",
+  url,
+  event: { id: "event-1", type: "alert.test" },
+  status: "pending",
+  createdAt: Date.now(),
+  deliveredAt: null,
+  attempts: []
+});
+
+test("IPv4 addresses embedded in IPv6 ones are judged by the IPv4 address", () => {
+  // new URL() rewrites [::ffff:127.0.0.1] as [::ffff:7f00:1]
+  assert.equal(new URL("http://[::ffff:127.0.0.1]/").hostname, "[::ffff:7f00:1]");
+  assert.equal(isPrivateHost("[::ffff:7f00:1]"), true);
+  assert.equal(isPrivateHost("[::7f00:1]"), true);
+  assert.equal(isPrivateHost("[::ffff:a9fe:a9fe]"), true);
+  assert.equal(isPrivateHost("[64:ff9b::a00:1]"), true);
+  assert.equal(isPrivateAddress("::ffff:169.254.169.254"), true);
+  assert.equal(isPrivateAddress("::ffff:808:808"), false);
+});
+
+test("shared, loopback, private and link-local ranges are private, public addresses are not", () => {
+  ["100.64.0.1", "100.127.255.254", "127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "0.0.0.0"]
+    .forEach(address => assert.equal(isPrivateAddress(address), true, address));
+  ["::", "::1", "fd00::1", "fe80::1%eth0"].forEach(address => assert.equal(isPrivateAddress(address), true, address));
+  ["100.128.0.1", "8.8.8.8", "2001:4860:4860::8888"].forEach(address => assert.equal(isPrivateAddress(address), false, address));
+  assert.equal(isPrivateHost("hooks.localhost"), true);
+});
+
+test("a name resolving to a private address is refused when it is delivered to, without retrying", async () => {
+  const target = await receiver();
+  const delivery = createDelivery(`http://localhost:${target.port}/hook`);
+
+  await sendWebhook(delivery, "secret-secret-secret", () => {}, { allowPrivate: false });
+
+  assert.equal(delivery.status, "failed");
+  assert.equal(delivery.attempts.length, 1);
+  assert.match(delivery.attempts[0].error, /resolves to the private address 127\.0\.0\.1/);
+  assert.equal(target.requests.length, 0);
+});
+
+test("redirects are not followed and fail the delivery", async () => {
+  const internal = await receiver();
+  const redirecting = await receiver([302], { Location: internal.url });
+  const delivery = createDelivery(redirecting.url);
+
+  await sendWebhook(delivery, "secret-secret-secret");
+
+  assert.equal(delivery.status, "failed");
+  assert.deepEqual(delivery.attempts.map(({ status }) => status), [302]);
+  assert.equal(redirecting.requests.length, 1);
+  assert.equal(internal.requests.length, 0);
+});
+
+test("requests are signed so that verifySignature accepts them with the rule's secret only", async () => {
+  const target = await receiver();
+  const delivery = createDelivery(target.url);
+
+  await sendWebhook(delivery, "secret-secret-secret");
+
+  assert.equal(delivery.status, "delivered");
+  const [{ headers, body }] = target.requests;
+  assert.deepEqual(JSON.parse(body), delivery.event);
+  assert.equal(headers["x-webhook-id"], delivery.id);
+  assert.equal(headers["x-webhook-event"], "alert.test");
+  assert.equal(verifySignature("secret-secret-secret", headers["x-webhook-timestamp"], body, headers["x-webhook-signature"]), true);
+  assert.equal(verifySignature("another-secret-value", headers["x-webhook-timestamp"], body, headers["x-webhook-signature"]), false);
+  assert.equal(verifySignature("secret-secret-secret", headers["x-webhook-timestamp"], `${body} `, headers["x-webhook-signature"]), false);
+});
+
+test("500, 408 and 429 are retried with a doubling backoff until the request succeeds", async () => {
+  const target = await receiver([500, 408, 429, 204]);
+  const delivery = createDelivery(target.url);
+  const changes = [];
+
+  await sendWebhook(delivery, "secret-secret-secret", ({ status }) => changes.push(status));
+
+  assert.equal(delivery.status, "delivered");
+  assert.deepEqual(delivery.attempts.map(({ status }) => status), [500, 408, 429, 204]);
+  assert.deepEqual(delivery.attempts.map(({ error }) => error), ["HTTP 500", "HTTP 408", "HTTP 429", null]);
+  assert.deepEqual(changes, ["pending", "pending", "pending", "delivered"]);
+
+  // webhookBackoffBase is 20ms: 20, 40 and 80ms between the attempts
+  assert.deepEqual(delivery.attempts.map(({ retryIn }) => retryIn), [20, 40, 80, null]);
+  delivery.attempts.slice(1).forEach(({ at }, index) => {
+    assert.ok(at - delivery.attempts[index].at >= delivery.attempts[index].retryIn, `attempt ${index + 2} came too early`);
+  });
+});
+
+test("other 4xx responses end the delivery, and retries stop after webhookRetries", async () => {
+  const refusing = await receiver([500, 404]);
+  const refused = createDelivery(refusing.url);
+  await sendWebhook(refused, "secret-secret-secret");
+
+  assert.equal(refused.status, "failed");
+  assert.deepEqual(refused.attempts.map(({ status }) => status), [500, 404]);
+  assert.equal(refused.attempts[1].retryIn, null);
+
+  const failing = await receiver([503]);
+  const exhausted = createDelivery(failing.url);
+  await sendWebhook(exhausted, "secret-secret-secret");
+
+  assert.equal(exhausted.status, "failed");
+  assert.equal(exhausted.attempts.length, 4);
+  assert.equal(failing.requests.length, 4);
+});